@@ -27,6 +27,7 @@ const DreamAnalysisResponseSchema = z.object({
     interpretation: z.string(),
     symbols: z.array(z.string()),
     confidence: z.number().min(0).max(1),
+    model: z.string(),
     timestamp: z.number(),
   }).optional(),
   error: z.string().optional(),
@@ -172,6 +173,7 @@ app.post('/api/analyzeDream', dreamAnalysisLimiter, async (req, res) => {
       success: true,
       data: {
         ...responseValidation.data,
+        model: completion.model,
         timestamp: Date.now(),
       },
       requestId,
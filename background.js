@@ -1,148 +1,647 @@
-// Global timer state
-let globalTimerState = null;
-let globalIsPaused = false;
-let globalTimerInterval = null;
+importScripts('src/settings.js', 'src/dataStore.js', 'src/timerEngine.js', 'src/presets.js', 'src/sessionSpec.js', 'src/siteBlocker.js', 'src/soundPlayer.js', 'src/lifeClock.js', 'src/lifeTable.js');
+
+// The session lives in chrome.storage as wall-clock timestamps; phase
+// transitions are driven by chrome.alarms so they fire even after the
+// service worker has been suspended.
+const TIMER_ALARM = 'segmentedTimerPhase';
+// Wakes the worker when the number on the toolbar badge is due to change
+const BADGE_ALARM = 'toolbarBadge';
+const BADGE_COLORS = {
+  work: '#6b8cff',
+  break: '#22c55e',
+  paused: '#9ca3af',
+  life: '#9f7fff'
+};
+
+// Sounds play in an offscreen document because service workers can't play audio
+const OFFSCREEN_DOCUMENT = 'offscreen.html';
+let creatingOffscreen = null;
+
+const settingsStore = new SettingsStore();
+const dataStore = new DataStore();
+
+// Serialize storage read-modify-write cycles between messages and alarms
+let timerQueue = Promise.resolve();
+
+// Timer notifications carry their buttons in the notification ID
+// ("timer:<startTime>:<phaseIndex>:<actions>") so a click can be handled
+// after the service worker has been restarted
+const NOTIFICATION_PREFIX = 'timer';
+const NOTIFICATION_BUTTONS = {
+  skip: 'Skip break ⏭️',
+  extend: '+5 min',
+  pause: 'Pause ⏸️',
+  resume: 'Resume ▶️',
+  stop: 'Stop ⏹️'
+};
+const NOTIFICATION_ACTIONS = {
+  skip: () => skipBackgroundPhase(),
+  extend: () => adjustBackgroundPhase(5),
+  pause: async () => {
+    const session = await pauseBackgroundTimer();
+    if (session) {
+      notifyTimer(session, 'Timer Paused ⏸️', 'Resume whenever you are ready.', ['resume', 'stop']);
+    }
+  },
+  resume: () => resumeBackgroundTimer(),
+  stop: () => stopBackgroundTimer()
+};
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Messages for the offscreen audio document are handled there
+  if (msg.target === 'offscreen') return false;
+
   if (msg.type === 'START_TIMER') {
-    try {
-      startSegmentedTimer(msg.total, msg.segment, msg.grace);
-      sendResponse({ success: true });
-    } catch (error) {
-      console.error('Error starting timer:', error);
-      notify('Timer Error', 'Failed to start timer. Please try again.');
-      sendResponse({ success: false });
-    }
+    handleStartTimer(msg.phases, msg.task).then(success => sendResponse({ success }));
   } else if (msg.type === 'PAUSE_TIMER') {
-    pauseBackgroundTimer();
-    sendResponse({ success: true });
+    pauseBackgroundTimer().then(() => sendResponse({ success: true }));
   } else if (msg.type === 'RESUME_TIMER') {
-    resumeBackgroundTimer();
-    sendResponse({ success: true });
+    resumeBackgroundTimer().then(() => sendResponse({ success: true }));
   } else if (msg.type === 'STOP_TIMER') {
-    stopBackgroundTimer();
-    sendResponse({ success: true });
+    stopBackgroundTimer().then(() => sendResponse({ success: true }));
+  } else if (msg.type === 'SKIP_PHASE') {
+    skipBackgroundPhase().then(() => sendResponse({ success: true }));
+  } else if (msg.type === 'END_PHASE_EARLY') {
+    skipBackgroundPhase(true).then(() => sendResponse({ success: true }));
+  } else if (msg.type === 'PREVIOUS_PHASE') {
+    previousBackgroundPhase().then(() => sendResponse({ success: true }));
+  } else if (msg.type === 'ADJUST_PHASE') {
+    adjustBackgroundPhase(Number(msg.minutes) || 0).then(() => sendResponse({ success: true }));
   } else if (msg.type === 'GET_TIMER_STATE') {
-    sendResponse({ 
-      currentTimer: globalTimerState,
-      isPaused: globalIsPaused 
+    syncTimer().then((session) => {
+      sendResponse({
+        currentTimer: session ? TimerEngine.getState(session) : null,
+        isPaused: session ? Boolean(session.pausedAt) : false
+      });
     });
   }
   return true;
 });
 
-function startSegmentedTimer(total, segment, grace) {
-  // Stop any existing timer
-  if (globalTimerInterval) {
-    clearInterval(globalTimerInterval);
-  }
-  
-  // Initialize timer state
-  globalTimerState = {
-    total,
-    segment,
-    grace,
-    fullBlock: segment + grace,
-    blocks: Math.floor(total / (segment + grace)),
-    remainingTime: total % (segment + grace),
-    currentBlock: 0,
-    currentTime: segment * 60, // Convert to seconds
-    isWorkTime: true,
-    startTime: Date.now()
-  };
-  
-  globalIsPaused = false;
-  
-  // Save to storage
-  chrome.storage.local.set({ currentTimer: globalTimerState, isPaused: false });
-  
-  // Initial notification
-  notify('Session Started', `Total ${total} mins | ${segment}-min sets + ${grace}-min breaks | ${globalTimerState.blocks} segments`);
-  
-  // Start countdown
-  startBackgroundCountdown();
-}
-
-function startBackgroundCountdown() {
-  globalTimerInterval = setInterval(() => {
-    if (!globalTimerState || globalIsPaused) return;
-    
-    globalTimerState.currentTime--;
-    
-    if (globalTimerState.currentTime <= 0) {
-      // Time segment finished
-      if (globalTimerState.isWorkTime) {
-        // Work time finished, start break
-        if (globalTimerState.currentBlock < globalTimerState.blocks - 1 || 
-            (globalTimerState.currentBlock === globalTimerState.blocks - 1 && globalTimerState.remainingTime > 0)) {
-          globalTimerState.isWorkTime = false;
-          globalTimerState.currentTime = globalTimerState.grace * 60;
-          notify('Break Time 🕒', `Take ${globalTimerState.grace} minutes to reset.`);
-        } else {
-          // Timer complete
-          notify('Session Complete 🏁', 'All segments done! Great work!');
-          stopBackgroundTimer();
-          return;
-        }
-      } else {
-        // Break time finished, start next work segment
-        globalTimerState.currentBlock++;
-        globalTimerState.isWorkTime = true;
-        
-        if (globalTimerState.currentBlock >= globalTimerState.blocks) {
-          // All segments done
-          if (globalTimerState.remainingTime > 0) {
-            // Final segment with remaining time
-            globalTimerState.currentTime = globalTimerState.remainingTime * 60;
-            notify('Final Segment', `Go for ${globalTimerState.remainingTime} minutes!`);
-          } else {
-            // Timer complete
-            notify('Session Complete 🏁', 'All segments done! Great work!');
-            stopBackgroundTimer();
-            return;
-          }
-        } else {
-          globalTimerState.currentTime = globalTimerState.segment * 60;
-          notify(`Segment ${globalTimerState.currentBlock + 1} of ${globalTimerState.blocks}`, `Go for ${globalTimerState.segment} minutes!`);
-        }
-      }
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TIMER_ALARM) {
+    syncTimer();
+  } else if (alarm.name === BADGE_ALARM) {
+    updateBadge();
+  }
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  const [prefix, startTime, phaseIndex, actions] = notificationId.split(':');
+  if (prefix !== NOTIFICATION_PREFIX) return;
+
+  chrome.notifications.clear(notificationId);
+  runNotificationAction(Number(startTime), Number(phaseIndex), actions.split(',')[buttonIndex]);
+});
+
+// Keyboard shortcuts declared under "commands" in manifest.json
+chrome.commands.onCommand.addListener(async (command) => {
+  if (command === 'start-default-preset') {
+    const store = new PresetStore();
+    const presets = await store.getAll();
+    const defaultId = await store.getDefaultId();
+    const preset = presets.find(p => p.id === defaultId);
+    if (preset) {
+      handleStartTimer(PresetStore.getPhases(preset), null);
     }
-    
-    // Save state every 10 seconds
-    if (globalTimerState.currentTime % 10 === 0) {
-      chrome.storage.local.set({ currentTimer: globalTimerState, isPaused: globalIsPaused });
+  } else if (command === 'toggle-pause') {
+    const session = await syncTimer();
+    if (session) {
+      await (session.pausedAt ? resumeBackgroundTimer() : pauseBackgroundTimer());
+    }
+  } else if (command === 'skip-phase') {
+    skipBackgroundPhase();
+  } else if (command === 'stop-timer') {
+    stopBackgroundTimer();
+  }
+});
+
+// Omnibox: "tbp 50/10x4 write report" starts a session, "tbp pause" etc. control it
+const OMNIBOX_COMMANDS = {
+  pause: () => pauseBackgroundTimer(),
+  resume: () => resumeBackgroundTimer(),
+  skip: () => skipBackgroundPhase(),
+  stop: () => stopBackgroundTimer()
+};
+
+chrome.omnibox.setDefaultSuggestion({
+  description: 'Start a session like 50/10x4 [task], or type pause, resume, skip or stop'
+});
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  const input = text.trim().toLowerCase();
+  if (OMNIBOX_COMMANDS[input]) {
+    chrome.omnibox.setDefaultSuggestion({ description: `${input.charAt(0).toUpperCase()}${input.slice(1)} the timer` });
+  } else {
+    try {
+      chrome.omnibox.setDefaultSuggestion({ description: `Start ${escapeOmnibox(SessionSpec.describe(SessionSpec.parse(text)))}` });
+    } catch (error) {
+      chrome.omnibox.setDefaultSuggestion({ description: escapeOmnibox(error.message) });
     }
-  }, 1000);
+  }
+  suggest([]);
+});
+
+chrome.omnibox.onInputEntered.addListener((text) => {
+  const input = text.trim().toLowerCase();
+  if (OMNIBOX_COMMANDS[input]) {
+    OMNIBOX_COMMANDS[input]();
+    return;
+  }
+
+  let spec;
+  try {
+    spec = SessionSpec.parse(text);
+  } catch (error) {
+    notify('Timer Error', error.message);
+    return;
+  }
+
+  const task = spec.task
+    ? { label: spec.task, goal: false, date: LifeClock.formatDate(new Date()) }
+    : null;
+  handleStartTimer(spec.phases, task);
+});
+
+// Omnibox descriptions are XML, so markup characters must be escaped
+function escapeOmnibox(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Re-arm the phase alarm when the browser starts with a session still stored
+chrome.runtime.onStartup.addListener(() => {
+  syncTimer().then(updateBadge);
+});
+
+// Bring data and settings saved by an older version up to date. The data
+// migration is queued so it can't interleave with a timer update
+chrome.runtime.onInstalled.addListener(() => {
+  queueTimerTask(() => dataStore.migrate()).catch(error => console.error(error));
+  settingsStore.load().then(updateBadge);
+});
+
+// Every timer change goes through storage, so the badge, blocking and ambient sound follow it from here
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && (changes.currentTimer || changes.birthday)) {
+    updateBadge();
+  }
+  if (area === 'local' && changes.currentTimer) {
+    queueTimerTask(syncBlockingRules);
+    queueTimerTask(syncAmbientSound);
+  }
+});
+
+settingsStore.onChange((settings, previous) => {
+  const changed = section => !previous || JSON.stringify(settings[section]) !== JSON.stringify(previous[section]);
+
+  if (changed('life')) {
+    updateBadge();
+  }
+  if (changed('idle')) {
+    applyIdleSettings();
+  }
+  if (changed('blocking')) {
+    queueTimerTask(syncBlockingRules);
+  }
+  if (changed('sounds')) {
+    queueTimerTask(syncAmbientSound);
+  }
+});
+
+chrome.idle.onStateChanged.addListener((state) => {
+  queueTimerTask(() => handleIdleState(state));
+});
+
+// The detection interval isn't persisted, so set it whenever the worker starts
+applyIdleSettings();
+
+function queueTimerTask(task) {
+  const run = timerQueue.then(task);
+  timerQueue = run.catch(() => {});
+  return run;
+}
+
+async function loadSession() {
+  const data = await chrome.storage.local.get(['currentTimer']);
+  return DataStore.isTimerSession(data.currentTimer) ? data.currentTimer : null;
+}
+
+async function saveSession(session) {
+  await chrome.storage.local.set({ currentTimer: session });
+  await scheduleTimerAlarm(session);
+}
+
+async function scheduleTimerAlarm(session) {
+  await chrome.alarms.clear(TIMER_ALARM);
+
+  const phaseEnd = TimerEngine.getPhaseEnd(session);
+  if (phaseEnd) {
+    chrome.alarms.create(TIMER_ALARM, { when: phaseEnd });
+  }
+}
+
+/**
+ * Bring the stored session up to date with the wall clock, notifying
+ * about any phase transition that happened since it was last saved
+ * @returns {Promise<Object|null>} The current session, or null when none is running
+ */
+function syncTimer() {
+  return queueTimerTask(advanceSession);
+}
+
+async function advanceSession() {
+  const stored = await loadSession();
+  if (!stored) return null;
+
+  const { session, transitioned, isComplete } = TimerEngine.advance(stored);
+
+  if (isComplete) {
+    notify('Session Complete 🏁', 'All segments done! Great work!');
+    playCue('sessionComplete');
+    // The last phase ended at phaseStartedAt, which may be before now if the worker was asleep
+    await recordSession(TimerEngine.summarize(session, session.phaseStartedAt, false));
+    await clearSession();
+    return null;
+  }
+
+  if (transitioned) {
+    announcePhase(session);
+  }
+
+  await saveSession(session);
+  return session;
+}
+
+/**
+ * Start a session from the popup, a keyboard shortcut or the omnibox
+ * @param {Array<Object>} phases - Phases with label, type and minutes
+ * @param {Object|null} task - Task the session is linked to
+ * @returns {Promise<boolean>} Whether the session started
+ */
+async function handleStartTimer(phases, task) {
+  try {
+    // Shortcuts and the omnibox can start over a running session; log that one as stopped
+    await stopBackgroundTimer();
+    await startSegmentedTimer(phases, task);
+    return true;
+  } catch (error) {
+    console.error('Error starting timer:', error);
+    notify('Timer Error', 'Failed to start timer. Please try again.');
+    return false;
+  }
+}
+
+function startSegmentedTimer(phases, task) {
+  return queueTimerTask(async () => {
+    const session = TimerEngine.createSession(phases, Date.now(), task);
+    await saveSession(session);
+
+    // Initial notification
+    playCue(session.phases[0].type === 'break' ? 'breakStart' : 'workStart');
+    const workPhases = session.phases.filter(phase => phase.type === 'work');
+    const totalMinutes = session.phases.reduce((sum, phase) => sum + phase.minutes, 0);
+    notifyTimer(session, 'Session Started', `Total ${totalMinutes} mins | ${session.phases.length} phases | ${workPhases.length} work segments`, ['pause', 'stop']);
+  });
 }
 
 function pauseBackgroundTimer() {
-  globalIsPaused = true;
-  chrome.storage.local.set({ currentTimer: globalTimerState, isPaused: true });
+  return queueTimerTask(async () => {
+    const session = await advanceSession();
+    if (!session) return null;
+
+    const paused = TimerEngine.pause(session);
+    await saveSession(paused);
+    return paused;
+  });
 }
 
 function resumeBackgroundTimer() {
-  globalIsPaused = false;
-  chrome.storage.local.set({ currentTimer: globalTimerState, isPaused: false });
+  return queueTimerTask(async () => {
+    const session = await loadSession();
+    if (session) {
+      await saveSession(TimerEngine.resume(session));
+    }
+  });
 }
 
 function stopBackgroundTimer() {
-  if (globalTimerInterval) {
-    clearInterval(globalTimerInterval);
-    globalTimerInterval = null;
+  return queueTimerTask(async () => {
+    // Advancing first records a session that had already finished as complete
+    const session = await advanceSession();
+    if (session) {
+      await recordSession(TimerEngine.summarize(session, Date.now(), true));
+    }
+    await clearSession();
+  });
+}
+
+function skipBackgroundPhase(completed = false) {
+  return queueTimerTask(async () => {
+    const session = await advanceSession();
+    if (!session) return;
+
+    await saveSession(TimerEngine.skipPhase(session, Date.now(), completed));
+    // Finishes the session when the last phase was skipped
+    const next = await advanceSession();
+    if (next) {
+      announcePhase(next);
+    }
+  });
+}
+
+function previousBackgroundPhase() {
+  return queueTimerTask(async () => {
+    const session = await advanceSession();
+    if (!session) return;
+
+    const previous = TimerEngine.previousPhase(session);
+    await saveSession(previous);
+    announcePhase(previous);
+  });
+}
+
+function adjustBackgroundPhase(minutes) {
+  return queueTimerTask(async () => {
+    const session = await advanceSession();
+    if (!session) return;
+
+    await saveSession(TimerEngine.adjustPhase(session, minutes));
+    // Shortening can end the phase immediately
+    await advanceSession();
+  });
+}
+
+async function loadIdleSettings() {
+  return (await settingsStore.load()).idle;
+}
+
+async function applyIdleSettings() {
+  const settings = await loadIdleSettings();
+  // Chrome's minimum detection interval is 15 seconds
+  chrome.idle.setDetectionInterval(Math.max(15, Math.round(settings.minutes * 60)));
+}
+
+/**
+ * Pause or mark the session when the user goes idle or locks the screen
+ * during a work phase, and close the idle span when they are back
+ * @param {string} state - 'active', 'idle' or 'locked'
+ */
+async function handleIdleState(state) {
+  const settings = await loadIdleSettings();
+  const session = await advanceSession();
+  if (!session) return;
+
+  const now = Date.now();
+
+  if (state === 'active') {
+    if (!session.idle) return;
+
+    const { idle } = session;
+    const back = TimerEngine.endIdle(session, now);
+    const away = Math.max(1, Math.round((now - idle.start) / 60000));
+
+    if (idle.action !== 'paused') {
+      await saveSession(back);
+    } else if (settings.autoResume) {
+      await saveSession(TimerEngine.resume(back, now));
+      notify('Welcome back 👋', `The session was paused for ${away} min while you were away and is running again.`);
+    } else {
+      await saveSession(back);
+      notifyTimer(back, 'Welcome back 👋', `The session was paused for ${away} min while you were away.`, ['resume', 'stop']);
+    }
+    return;
+  }
+
+  // Only a running work phase is affected
+  const phase = session.phases[session.phaseIndex];
+  if (settings.mode === 'off' || session.pausedAt || session.idle || phase.type !== 'work') return;
+
+  // "idle" fires once the detection interval has passed, so the user left that long ago
+  const start = Math.max(
+    state === 'idle' ? now - settings.minutes * 60000 : now,
+    session.phaseStartedAt,
+    session.runStartedAt
+  );
+
+  if (settings.mode === 'pause') {
+    await saveSession(TimerEngine.startIdle(TimerEngine.pause(session, start), start, state, 'paused'));
+  } else {
+    await saveSession(TimerEngine.startIdle(session, start, state, 'recorded'));
+  }
+}
+
+// Blocking and ambient sound only apply while a work phase is actually running
+function isWorkRunning(session) {
+  if (!session || session.pausedAt) return false;
+  const state = TimerEngine.getState(session);
+  return !state.isComplete && state.isWorkTime;
+}
+
+/**
+ * Turn distraction blocking on during a running work phase and off otherwise.
+ * Blocked pages are redirected to focus.html, which sends the user back once
+ * the rules are lifted
+ */
+async function syncBlockingRules() {
+  const settings = (await settingsStore.load()).blocking;
+  const active = Boolean(settings.enabled && isWorkRunning(await loadSession()));
+
+  const focusPage = chrome.runtime.getURL('focus.html');
+  const wasActive = (await chrome.declarativeNetRequest.getDynamicRules()).length > 0;
+
+  try {
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: SiteBlocker.ruleIds,
+      addRules: active ? SiteBlocker.buildRules(settings, focusPage) : []
+    });
+  } catch (error) {
+    // Redirect rules need the optional host permission, which the user may have revoked
+    console.error('Error updating blocking rules:', error);
+    return;
+  }
+
+  // Rules only catch new navigations, so move tabs that were already open when blocking starts
+  if (active && !wasActive) {
+    const tabs = await chrome.tabs.query({});
+    tabs
+      .filter(tab => tab.url && SiteBlocker.isBlocked(settings, tab.url))
+      .forEach(tab => chrome.tabs.update(tab.id, { url: `${focusPage}#${tab.url}` }));
   }
-  
-  globalTimerState = null;
-  globalIsPaused = false;
-  
-  chrome.storage.local.remove(['currentTimer', 'isPaused']);
 }
 
-function notify(title, message) {
-  chrome.notifications.create('', {
+async function loadSoundSettings() {
+  return (await settingsStore.load()).sounds;
+}
+
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  return contexts.length > 0;
+}
+
+async function sendToOffscreen(message) {
+  if (!(await hasOffscreenDocument())) {
+    // Several sounds can be requested at once, but only one document may exist
+    if (!creatingOffscreen) {
+      creatingOffscreen = chrome.offscreen.createDocument({
+        url: OFFSCREEN_DOCUMENT,
+        reasons: ['AUDIO_PLAYBACK'],
+        justification: 'Play timer chimes and ambient sound'
+      });
+    }
+    try {
+      await creatingOffscreen;
+    } finally {
+      creatingOffscreen = null;
+    }
+  }
+  return chrome.runtime.sendMessage({ ...message, target: 'offscreen' });
+}
+
+/**
+ * Play the chime chosen for a timer event
+ * @param {string} cue - 'workStart', 'breakStart' or 'sessionComplete'
+ */
+async function playCue(cue) {
+  const settings = await loadSoundSettings();
+  const { sound, volume } = settings[cue];
+  if (sound === 'none') return;
+
+  try {
+    await sendToOffscreen({ type: 'PLAY_CHIME', sound, volume });
+  } catch (error) {
+    console.error('Error playing sound:', error);
+  }
+}
+
+// Loop the ambient track during running work phases and stop it otherwise
+async function syncAmbientSound() {
+  const settings = await loadSoundSettings();
+  const active = settings.ambient.sound !== 'none' && isWorkRunning(await loadSession());
+
+  try {
+    if (active) {
+      await sendToOffscreen({ type: 'START_AMBIENT', ...settings.ambient });
+    } else if (await hasOffscreenDocument()) {
+      await sendToOffscreen({ type: 'STOP_AMBIENT' });
+    }
+  } catch (error) {
+    console.error('Error updating ambient sound:', error);
+  }
+}
+
+async function runNotificationAction(startTime, phaseIndex, action) {
+  const session = await syncTimer();
+
+  // Ignore buttons on notifications for a phase or session that has since ended
+  if (!session || session.startTime !== startTime || session.phaseIndex !== phaseIndex) return;
+  if (NOTIFICATION_ACTIONS[action]) {
+    await NOTIFICATION_ACTIONS[action]();
+  }
+}
+
+// Sessions run for a goal or task are linked to their journal day through
+// summary.task.date; the journal reads them from here (DataStore.linkedSessions)
+// so journalEntries is only written by the popup
+async function recordSession(summary) {
+  const data = await chrome.storage.local.get(['sessionHistory']);
+  const history = data.sessionHistory || [];
+  history.push(summary);
+  await chrome.storage.local.set({ sessionHistory: history });
+}
+
+async function clearSession() {
+  await chrome.alarms.clear(TIMER_ALARM);
+  await chrome.storage.local.remove('currentTimer');
+}
+
+/**
+ * Show the current phase's remaining minutes on the toolbar icon, or the
+ * Life Clock's days left when no timer is running and that option is on
+ */
+async function updateBadge() {
+  await chrome.alarms.clear(BADGE_ALARM);
+
+  const now = Date.now();
+  const session = await loadSession();
+  const state = session ? TimerEngine.getState(session, now) : null;
+
+  if (state && !state.isComplete) {
+    const color = session.pausedAt ? BADGE_COLORS.paused : (state.isWorkTime ? BADGE_COLORS.work : BADGE_COLORS.break);
+    await setBadge(String(Math.ceil(state.currentTime / 60)), color);
+
+    // The shown minute changes whenever the remaining time crosses a whole minute
+    const phaseEnd = TimerEngine.getPhaseEnd(session);
+    if (phaseEnd) {
+      const untilNextMinute = (phaseEnd - now) % 60000 || 60000;
+      chrome.alarms.create(BADGE_ALARM, { when: now + untilNextMinute });
+    }
+    return;
+  }
+
+  const data = await chrome.storage.local.get(['birthday']);
+  const settings = (await settingsStore.load()).life;
+  if (!data.birthday || !settings.badgeDaysLeft) {
+    await setBadge('', BADGE_COLORS.life);
+    return;
+  }
+
+  const today = new Date(now);
+  const endDate = LifeClock.endDate(data.birthday, LifeTable.resolveExpectancy(settings, data.birthday));
+  await setBadge(formatBadgeDays(Math.max(0, LifeClock.daysBetween(today, endDate))), BADGE_COLORS.life);
+
+  // Count down again just after local midnight
+  const midnight = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+  chrome.alarms.create(BADGE_ALARM, { when: midnight.getTime() + 1000 });
+}
+
+async function setBadge(text, color) {
+  await chrome.action.setBadgeBackgroundColor({ color });
+  await chrome.action.setBadgeText({ text });
+}
+
+// Badges fit about four characters, so large day counts are abbreviated
+function formatBadgeDays(days) {
+  if (days < 10000) return String(days);
+  return `${Math.floor(days / 1000)}k`;
+}
+
+// Tell the user a new phase has started, with a notification and its chime
+function announcePhase(session) {
+  notifyPhase(session);
+
+  if (!session.pausedAt) {
+    playCue(session.phases[session.phaseIndex].type === 'break' ? 'breakStart' : 'workStart');
+  }
+}
+
+function notifyPhase(session) {
+  const phase = session.phases[session.phaseIndex];
+
+  if (session.pausedAt) {
+    notifyTimer(session, `${phase.label} (paused)`, `${phase.minutes} minutes, starting when you resume.`, ['resume', 'stop']);
+  } else if (phase.type === 'break') {
+    notifyTimer(session, `Break Time 🕒 — ${phase.label}`, `Take ${phase.minutes} minutes to reset.`, ['skip', 'extend']);
+  } else {
+    notifyTimer(session, phase.label, `Go for ${phase.minutes} minutes!`, ['extend', 'pause']);
+  }
+}
+
+// Notifications allow at most two buttons, so each one offers the two most useful actions
+function notifyTimer(session, title, message, actions) {
+  const id = [NOTIFICATION_PREFIX, session.startTime, session.phaseIndex, actions.join(',')].join(':');
+  notify(title, message, id, actions.map(action => ({ title: NOTIFICATION_BUTTONS[action] })));
+}
+
+function notify(title, message, id = '', buttons = []) {
+  const options = {
     type: 'basic',
     iconUrl: 'icons/icon128.png',
     title,
     message,
     priority: 2
-  });
-}
\ No newline at end of file
+  };
+  if (buttons.length > 0) {
+    options.buttons = buttons;
+  }
+  chrome.notifications.create(id, options);
+}
@@ -0,0 +1,51 @@
+// Full-page dashboard. It loads the popup's markup and scripts into the page,
+// so both share the same storage, background messaging and behavior, and
+// replaces the popup's dropdown with sidebar navigation.
+const navButtons = document.querySelectorAll('.dashboard-nav-btn');
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
+    document.body.appendChild(script);
+  });
+}
+
+async function loadDashboard() {
+  const response = await fetch('popup.html');
+  const popup = new DOMParser().parseFromString(await response.text(), 'text/html');
+  document.getElementById('dashboardMain').appendChild(document.importNode(popup.querySelector('.card'), true));
+  
+  // Run the popup's scripts in their original order
+  for (const script of popup.querySelectorAll('script[src]')) {
+    await loadScript(script.getAttribute('src'));
+  }
+  
+  showSection(location.hash.slice(1) || 'lifeclock');
+}
+
+function showSection(section) {
+  toolSelector.value = section;
+  switchView(section);
+  history.replaceState(null, '', `#${section}`);
+}
+
+function highlightNav(section) {
+  navButtons.forEach(button => button.classList.toggle('active', button.dataset.view === section));
+}
+
+navButtons.forEach(button => {
+  button.addEventListener('click', () => showSection(button.dataset.view));
+});
+
+// Views can also change from inside the app (e.g. starting a session from the journal)
+document.addEventListener('viewchange', (event) => {
+  highlightNav(event.detail);
+});
+
+loadDashboard().catch((error) => {
+  console.error('Error loading dashboard:', error);
+  document.getElementById('dashboardMain').textContent = 'The dashboard could not be loaded. Please reload the page.';
+});
@@ -0,0 +1,71 @@
+// Focus page shown in place of blocked sites during a work segment.
+// The blocked URL arrives in the fragment; once blocking lifts the tab goes back to it.
+const blockedUrl = location.hash.slice(1);
+const canReturn = /^https?:\/\//.test(blockedUrl);
+
+// Blocking settings, kept current so turning blocking off mid-segment releases the tab
+const settingsStore = new SettingsStore();
+let blockingSettings = null;
+
+if (canReturn) {
+  document.getElementById('focusBlockedUrl').textContent = `Blocked: ${new URL(blockedUrl).hostname}`;
+}
+
+// Blocking turned off, or this site no longer on the list
+function isUnblocked() {
+  if (!blockingSettings) return false;
+  return !blockingSettings.enabled || (canReturn && !SiteBlocker.isBlocked(blockingSettings, blockedUrl));
+}
+
+function leaveFocusPage(title) {
+  document.getElementById('focusTitle').textContent = title;
+  document.getElementById('focusMessage').textContent = canReturn ? 'Blocking is lifted. Taking you back...' : 'Blocking is lifted.';
+  if (canReturn) {
+    location.replace(blockedUrl);
+  }
+}
+
+function updateFocusPage() {
+  chrome.runtime.sendMessage({ type: 'GET_TIMER_STATE' }, (response) => {
+    const timer = response && response.currentTimer;
+    
+    // Blocking only applies to a running work phase, so anything else means it has lifted
+    if (!timer || timer.isComplete || !timer.isWorkTime) {
+      leaveFocusPage('☕ Break Time');
+      return;
+    }
+    // isPaused mirrors the session's pausedAt, so this is a paused work segment rather than a break
+    if (response.isPaused) {
+      leaveFocusPage('⏸️ Paused');
+      return;
+    }
+    if (isUnblocked()) {
+      leaveFocusPage('🔓 Blocking Off');
+      return;
+    }
+    
+    const minutes = Math.floor(timer.currentTime / 60);
+    const seconds = timer.currentTime % 60;
+    document.getElementById('focusTime').textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    document.getElementById('focusSegment').textContent = `${timer.label} · ${timer.phaseIndex + 1} of ${timer.phases.length}`;
+    
+    const taskLabel = document.getElementById('focusTask');
+    taskLabel.classList.toggle('hidden', !timer.task);
+    if (timer.task) {
+      taskLabel.textContent = `${timer.task.goal ? '🎯' : '📌'} ${timer.task.label}`;
+    }
+  });
+}
+
+settingsStore.load().then((settings) => {
+  blockingSettings = settings.blocking;
+  updateFocusPage();
+});
+
+settingsStore.onChange((settings) => {
+  blockingSettings = settings.blocking;
+  updateFocusPage();
+});
+
+updateFocusPage();
+setInterval(updateFocusPage, 1000);
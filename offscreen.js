@@ -0,0 +1,17 @@
+// Offscreen document that plays timer sounds for the background service worker,
+// which has no access to audio APIs
+const player = new SoundPlayer();
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.target !== 'offscreen') return false;
+
+  if (msg.type === 'PLAY_CHIME') {
+    player.playChime(msg.sound, msg.volume);
+  } else if (msg.type === 'START_AMBIENT') {
+    player.startAmbient(msg.sound, msg.volume);
+  } else if (msg.type === 'STOP_AMBIENT') {
+    player.stopAmbient();
+  }
+  sendResponse({ success: true, isPlayingAmbient: player.isPlayingAmbient });
+  return false;
+});
@@ -5,9 +5,15 @@ const viewTitle = document.getElementById('viewTitle');
 // View elements
 const birthdaySetup = document.getElementById('birthdaySetup');
 const lifeClockView = document.getElementById('lifeClockView');
+const lifeWeeksView = document.getElementById('lifeWeeksView');
+const milestonesView = document.getElementById('milestonesView');
 const timerView = document.getElementById('timerView');
 const countdownView = document.getElementById('countdownView');
 const journalView = document.getElementById('journalView');
+const dreamsView = document.getElementById('dreamsView');
+const statsView = document.getElementById('statsView');
+const moodsView = document.getElementById('moodsView');
+const settingsView = document.getElementById('settingsView');
 
 // Life clock elements
 const birthdayInput = document.getElementById('birthday');
@@ -15,7 +21,22 @@ const calcBtn = document.getElementById('calcTime');
 const resetBtn = document.getElementById('resetBirthday');
 const lived = document.getElementById('lived');
 const remaining = document.getElementById('remaining');
-const MAX_AGE = 90;
+const expectancyLabel = document.getElementById('expectancyLabel');
+const settingsStore = new SettingsStore();
+const DEFAULT_LIFE_SETTINGS = SettingsStore.defaults.life;
+// Life stage boundaries as fractions of the expectancy (25/50/75 years of a 90-year life)
+const LIFE_STAGE_FRACTIONS = [25 / 90, 50 / 90, 75 / 90];
+let lifeExpectancy = DEFAULT_LIFE_SETTINGS.targetAge;
+let currentBirthdate = null;
+
+// Life expectancy settings elements
+const lifeSettingsPanel = document.getElementById('lifeSettingsPanel');
+const expectancyMode = document.getElementById('expectancyMode');
+const targetAgeInput = document.getElementById('targetAge');
+const expectancySex = document.getElementById('expectancySex');
+const expectancyCountry = document.getElementById('expectancyCountry');
+const expectancyPreview = document.getElementById('expectancyPreview');
+const badgeDaysLeftInput = document.getElementById('badgeDaysLeft');
 
 // Journal elements
 const journalDate = document.getElementById('journalDate');
@@ -23,19 +44,56 @@ const prevDayBtn = document.getElementById('prevDayBtn');
 const nextDayBtn = document.getElementById('nextDayBtn');
 const journalText = document.getElementById('journalText');
 const dailyGoal = document.getElementById('dailyGoal');
+const goalAchieved = document.getElementById('goalAchieved');
+const goalFocus = document.getElementById('goalFocus');
 const gratitude = document.getElementById('gratitude');
 const saveJournalBtn = document.getElementById('saveJournalBtn');
 const clearJournalBtn = document.getElementById('clearJournalBtn');
 
-// Dream analysis elements
+const journalDreams = document.getElementById('journalDreams');
+
+// Dream log elements
+const dreamStore = new DreamStore();
+const dreamNightTitle = document.getElementById('dreamNightTitle');
+const prevNightBtn = document.getElementById('prevNightBtn');
+const nextNightBtn = document.getElementById('nextNightBtn');
+const bedtimeInput = document.getElementById('bedtime');
+const wakeTimeInput = document.getElementById('wakeTime');
+const sleepDuration = document.getElementById('sleepDuration');
+const nightDreams = document.getElementById('nightDreams');
+const dreamEditor = document.getElementById('dreamEditor');
+const dreamTitle = document.getElementById('dreamTitle');
 const dreamEntry = document.getElementById('dreamEntry');
+const dreamLucid = document.getElementById('dreamLucid');
+const dreamVividness = document.getElementById('dreamVividness');
+const dreamRecurring = document.getElementById('dreamRecurring');
+const dreamTags = document.getElementById('dreamTags');
+const deleteDreamBtn = document.getElementById('deleteDreamBtn');
+const dreamTagFilter = document.getElementById('dreamTagFilter');
+const dreamArchive = document.getElementById('dreamArchive');
+
+// Dream analysis elements
 const analyzeDreamBtn = document.getElementById('analyzeDreamBtn');
 const dreamAnalysis = document.getElementById('dreamAnalysis');
 const dreamResults = document.getElementById('dreamResults');
 
+// Stats elements
+const sessionStatsUI = new SessionStatsUI();
+sessionStatsUI.init('statsContent');
+const moodStatsUI = new MoodStatsUI();
+moodStatsUI.init('moodStatsContent');
+
 // Journal state
 let currentJournalDate = new Date();
 let selectedMood = null;
+let currentEntrySessions = [];
+
+// Dream log state. A night is keyed by the date you woke up, like the journal entry of that day
+let currentDreamNight = new Date();
+let editingDreamId = null;
+let allDreams = [];
+// Analysis shown under the dream being edited, saved with it
+let currentDreamAnalysis = null;
 
 // Timer tracking variables
 let currentTimer = null;
@@ -43,11 +101,9 @@ let timerInterval = null;
 let isPaused = false;
 let lifeProgressInterval = null;
 
-// Set max date to today for birthday input
-document.addEventListener('DOMContentLoaded', () => {
-  const today = new Date().toISOString().split('T')[0];
-  document.getElementById('birthday').max = today;
-});
+// Set max date to today for birthday input. Scripts load after the markup,
+// also on the dashboard where they are added once DOMContentLoaded has fired
+document.getElementById('birthday').max = new Date().toISOString().split('T')[0];
 
 // Navigation functionality
 toolSelector.addEventListener('change', (e) => {
@@ -56,9 +112,12 @@ toolSelector.addEventListener('change', (e) => {
 
 function switchView(view) {
   // Hide all views
-  const views = [birthdaySetup, lifeClockView, timerView, countdownView, journalView];
+  const views = [birthdaySetup, lifeClockView, lifeWeeksView, milestonesView, timerView, countdownView, journalView, dreamsView, statsView, moodsView, settingsView];
   views.forEach(v => v.classList.remove('active'));
   
+  // Lets the dashboard keep its sidebar in step with the current view
+  document.dispatchEvent(new CustomEvent('viewchange', { detail: view }));
+  
   switch(view) {
     case 'lifeclock':
       viewTitle.textContent = '🕒 Life Clock';
@@ -77,6 +136,32 @@ function switchView(view) {
       });
       break;
       
+    case 'lifeweeks':
+      viewTitle.textContent = '🗓️ Life in Weeks';
+      if (lifeProgressInterval) {
+        clearInterval(lifeProgressInterval);
+        lifeProgressInterval = null;
+      }
+      chrome.storage.local.get(['birthday'], (data) => {
+        if (data.birthday) {
+          lifeWeeksView.classList.add('active');
+          showLifeWeeks(data.birthday);
+        } else {
+          birthdaySetup.classList.add('active');
+        }
+      });
+      break;
+      
+    case 'milestones':
+      viewTitle.textContent = '🎯 Milestones';
+      if (lifeProgressInterval) {
+        clearInterval(lifeProgressInterval);
+        lifeProgressInterval = null;
+      }
+      loadMilestones();
+      milestonesView.classList.add('active');
+      break;
+      
     case 'timer':
       viewTitle.textContent = '⏱️ Segmented Timer';
       // Stop life progress animation when switching to timer
@@ -86,14 +171,12 @@ function switchView(view) {
       }
       // Check if timer is running
       chrome.runtime.sendMessage({ type: 'GET_TIMER_STATE' }, (response) => {
-        if (response && response.currentTimer && isValidTimer(response.currentTimer)) {
+        // The background only reports sessions that pass DataStore.isTimerSession
+        if (response && response.currentTimer) {
           currentTimer = response.currentTimer;
           isPaused = response.isPaused || false;
           
-          if (currentTimer.currentTime > 0 || 
-              (currentTimer.currentBlock < currentTimer.blocks - 1) ||
-              (currentTimer.currentBlock === currentTimer.blocks - 1 && currentTimer.remainingTime > 0)) {
-            
+          if (!currentTimer.isComplete) {
             countdownView.classList.add('active');
             document.getElementById('pauseBtn').style.display = isPaused ? 'none' : 'block';
             document.getElementById('resumeBtn').style.display = isPaused ? 'block' : 'none';
@@ -117,20 +200,63 @@ function switchView(view) {
       loadJournalEntry();
       journalView.classList.add('active');
       break;
+      
+    case 'dreams':
+      viewTitle.textContent = '🌙 Dream Log';
+      if (lifeProgressInterval) {
+        clearInterval(lifeProgressInterval);
+        lifeProgressInterval = null;
+      }
+      loadDreamNight();
+      dreamsView.classList.add('active');
+      break;
+      
+    case 'stats':
+      viewTitle.textContent = '📊 Focus Stats';
+      if (lifeProgressInterval) {
+        clearInterval(lifeProgressInterval);
+        lifeProgressInterval = null;
+      }
+      chrome.storage.local.get(['sessionHistory'], (data) => {
+        sessionStatsUI.show(data.sessionHistory || []);
+      });
+      statsView.classList.add('active');
+      break;
+      
+    case 'moods':
+      viewTitle.textContent = '💭 Mood Insights';
+      if (lifeProgressInterval) {
+        clearInterval(lifeProgressInterval);
+        lifeProgressInterval = null;
+      }
+      chrome.storage.local.get(['journalEntries', 'sessionHistory'], async (data) => {
+        const log = await dreamStore.getLog();
+        moodStatsUI.show(data.journalEntries || {}, data.sessionHistory || [], DreamStore.byNight(log.dreams));
+      });
+      moodsView.classList.add('active');
+      break;
+      
+    case 'settings':
+      viewTitle.textContent = '⚙️ Settings';
+      if (lifeProgressInterval) {
+        clearInterval(lifeProgressInterval);
+        lifeProgressInterval = null;
+      }
+      settingsView.classList.add('active');
+      break;
   }
 }
 
-// Initialize on load
-chrome.storage.local.get(['birthday'], (data) => {
-  if (data.birthday) {
-    toolSelector.value = 'lifeclock';
-    switchView('lifeclock');
-  } else {
-    toolSelector.value = 'lifeclock';
-    switchView('lifeclock');
-  }
+document.getElementById('openDashboardBtn').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
 });
 
+// Initialize on load; the dashboard opens the section named in its URL itself
+if (!document.body.classList.contains('dashboard')) {
+  toolSelector.value = 'lifeclock';
+  switchView('lifeclock');
+}
+
 // Check for updates (optional feature)
 function checkForUpdates() {
   chrome.storage.local.get(['lastUpdateCheck'], (data) => {
@@ -156,30 +282,21 @@ function checkForUpdates() {
   });
 }
 
-// Uncomment to enable update checking
-// checkForUpdates();
-
-function isValidTimer(timer) {
-  return timer && 
-         typeof timer.total === 'number' && timer.total > 0 &&
-         typeof timer.segment === 'number' && timer.segment > 0 &&
-         typeof timer.grace === 'number' && timer.grace >= 0 &&
-         typeof timer.currentBlock === 'number' && timer.currentBlock >= 0 &&
-         typeof timer.currentTime === 'number' && timer.currentTime > 0 &&
-         typeof timer.isWorkTime === 'boolean' &&
-         timer.currentBlock <= timer.blocks &&
-         timer.currentTime >= 0; // Allow 0 for completed segments
-}
+// Update checks are off unless enabled in Settings
+settingsStore.load().then((settings) => {
+  if (settings.updates.check) {
+    checkForUpdates();
+  }
+});
 
 calcBtn.addEventListener('click', () => {
   const birthdate = birthdayInput.value;
   if (!birthdate) return alert('Please enter your birthday.');
   
   // Validate birthdate
-  const birth = new Date(birthdate);
+  const birth = LifeClock.parseDate(birthdate);
   const now = new Date();
-  const ageMs = now - birth;
-  const ageYears = ageMs / (1000 * 60 * 60 * 24 * 365.25);
+  const ageYears = LifeClock.yearsBetween(birth, now);
   
   // Check if birthdate is in the future
   if (birth > now) {
@@ -204,11 +321,45 @@ resetBtn.addEventListener('click', () => {
 });
 
 function showLifeClock(birthdate) {
+  currentBirthdate = birthdate;
+  closeLifeSettingsPanel();
+  
+  loadLifeExpectancy(birthdate, (expectancy, settings) => {
+    expectancyLabel.textContent = describeLifeExpectancy(settings, expectancy);
+    renderLifeClock(birthdate);
+  });
+}
+
+function loadLifeExpectancy(birthdate, callback) {
+  settingsStore.load().then(({ life }) => {
+    lifeExpectancy = LifeTable.resolveExpectancy(life, birthdate);
+    callback(lifeExpectancy, life);
+  });
+}
+
+function describeLifeExpectancy(settings, expectancy) {
+  if (settings.mode === 'table') {
+    const country = LifeTable.countries.find(c => c.code === settings.country);
+    return `Life expectancy: ${expectancy.toFixed(1)} years (${settings.sex}, ${country ? country.name : settings.country})`;
+  }
+  return `Life expectancy: ${expectancy} years`;
+}
+
+function renderLifeClock(birthdate) {
   // Update countdown immediately
   updateLifeCountdown(birthdate);
   
   // Update animated life progress bar
-  updateLifeProgressBar((new Date() - new Date(birthdate)) / (1000 * 60 * 60 * 24 * 365.25));
+  updateLifeProgressBar(LifeClock.yearsBetween(LifeClock.parseDate(birthdate), new Date()));
+  
+  // Show the projected end date as a real calendar date
+  const endDate = LifeClock.endDate(birthdate, lifeExpectancy);
+  document.getElementById('projectedEndDate').textContent = `Projected: ${endDate.toLocaleDateString(undefined, {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  })}`;
   
   // Start real-time animation
   startLifeProgressAnimation(birthdate);
@@ -219,85 +370,960 @@ function showLifeClock(birthdate) {
 
 function updateLifeProgressBar(livedYears) {
   const progressBar = document.getElementById('lifeProgressBar');
-  const progressPercent = Math.min((livedYears / MAX_AGE) * 100, 100);
+  const progressPercent = Math.min((livedYears / lifeExpectancy) * 100, 100);
+  
+  // Update progress bar width
+  progressBar.style.width = `${progressPercent}%`;
+  
+  // Update color based on life stage
+  const [earlyEnd, midEnd, lateEnd] = LIFE_STAGE_FRACTIONS.map(fraction => fraction * lifeExpectancy);
+  progressBar.className = 'life-progress-bar';
+  if (livedYears <= earlyEnd) {
+    progressBar.classList.add('life-stage-early'); // Green - Youth
+  } else if (livedYears <= midEnd) {
+    progressBar.classList.add('life-stage-mid'); // Yellow - Middle age
+  } else if (livedYears <= lateEnd) {
+    progressBar.classList.add('life-stage-late'); // Red - Senior
+  } else {
+    progressBar.classList.add('life-stage-final'); // Dark red - Final years
+  }
+}
+
+function startLifeProgressAnimation(birthdate) {
+  // Clear any existing interval
+  if (lifeProgressInterval) {
+    clearInterval(lifeProgressInterval);
+  }
+  
+  // Update every second for smooth animation
+  lifeProgressInterval = setInterval(() => {
+    const livedYears = LifeClock.yearsBetween(LifeClock.parseDate(birthdate), new Date());
+    
+    // Update the display
+    lived.textContent = `Time Lived: ${livedYears.toFixed(2)} years`;
+    
+    // Update countdown
+    updateLifeCountdown(birthdate);
+    
+    // Update progress bar
+    updateLifeProgressBar(livedYears);
+  }, 1000);
+}
+
+function updateLifeCountdown(birthdate) {
+  // Calendar breakdown in the local time zone; zeros once the end date has passed
+  const endDate = LifeClock.endDate(birthdate, lifeExpectancy);
+  const { years, months, days, hours, minutes, seconds } = LifeClock.calendarDiff(new Date(), endDate);
+  
+  // Update display with zero padding
+  document.getElementById('yearsLeft').textContent = years.toString().padStart(2, '0');
+  document.getElementById('monthsLeft').textContent = months.toString().padStart(2, '0');
+  document.getElementById('daysLeft').textContent = days.toString().padStart(2, '0');
+  document.getElementById('hoursLeft').textContent = hours.toString().padStart(2, '0');
+  document.getElementById('minutesLeft').textContent = minutes.toString().padStart(2, '0');
+  document.getElementById('secondsLeft').textContent = seconds.toString().padStart(2, '0');
+}
+
+// Life expectancy settings panel
+LifeTable.countries.forEach(country => {
+  const option = document.createElement('option');
+  option.value = country.code;
+  option.textContent = country.name;
+  expectancyCountry.appendChild(option);
+});
+
+document.getElementById('lifeSettingsBtn').addEventListener('click', () => {
+  settingsStore.load().then(({ life: settings }) => {
+    expectancyMode.value = settings.mode;
+    targetAgeInput.value = settings.targetAge;
+    expectancySex.value = settings.sex;
+    expectancyCountry.value = settings.country;
+    badgeDaysLeftInput.checked = settings.badgeDaysLeft;
+    updateLifeSettingsPanel();
+    lifeSettingsPanel.classList.remove('hidden');
+    lifeClockView.querySelector('.clock').classList.add('hidden');
+  });
+});
+
+[expectancyMode, targetAgeInput, expectancySex, expectancyCountry].forEach(input => {
+  input.addEventListener('input', updateLifeSettingsPanel);
+});
+
+function readLifeSettingsForm() {
+  return {
+    mode: expectancyMode.value,
+    targetAge: parseFloat(targetAgeInput.value),
+    sex: expectancySex.value,
+    country: expectancyCountry.value,
+    badgeDaysLeft: badgeDaysLeftInput.checked
+  };
+}
+
+function updateLifeSettingsPanel() {
+  const settings = readLifeSettingsForm();
+  document.getElementById('manualExpectancy').classList.toggle('hidden', settings.mode !== 'manual');
+  document.getElementById('tableExpectancy').classList.toggle('hidden', settings.mode !== 'table');
+  
+  if (settings.mode === 'table') {
+    const expectancy = LifeTable.resolveExpectancy(settings, currentBirthdate);
+    expectancyPreview.textContent = `Estimated life expectancy: ${expectancy.toFixed(1)} years. Based on approximate national life tables; your own health and habits matter more.`;
+  } else {
+    expectancyPreview.textContent = 'Pick any age you want the Life Clock to count down to.';
+  }
+}
+
+function closeLifeSettingsPanel() {
+  lifeSettingsPanel.classList.add('hidden');
+  lifeClockView.querySelector('.clock').classList.remove('hidden');
+}
+
+document.getElementById('saveLifeSettingsBtn').addEventListener('click', () => {
+  const settings = readLifeSettingsForm();
+  if (settings.mode === 'manual' && (!settings.targetAge || settings.targetAge <= 0 || settings.targetAge > 125)) {
+    alert('Please enter a target age between 1 and 125 years.');
+    return;
+  }
+  
+  settingsStore.update('life', settings).then(() => {
+    closeLifeSettingsPanel();
+    showLifeClock(currentBirthdate);
+  }).catch((error) => {
+    console.error('Error saving life settings:', error);
+    alert('These settings could not be saved. Please check the values and try again.');
+  });
+});
+
+document.getElementById('cancelLifeSettingsBtn').addEventListener('click', closeLifeSettingsPanel);
+
+// Life in weeks
+const lifeWeeksUI = new LifeWeeksUI();
+const chapterTitle = document.getElementById('chapterTitle');
+const chapterStart = document.getElementById('chapterStart');
+const chapterEnd = document.getElementById('chapterEnd');
+const chapterColor = document.getElementById('chapterColor');
+const chapterList = document.getElementById('chapterList');
+
+// Clicking two weeks on the grid pre-fills the chapter form
+lifeWeeksUI.init('lifeWeeksGrid', (start, end) => {
+  chapterStart.value = LifeClock.formatDate(start);
+  chapterEnd.value = LifeClock.formatDate(end);
+  chapterTitle.focus();
+});
+
+function showLifeWeeks(birthdate) {
+  currentBirthdate = birthdate;
+  
+  loadLifeExpectancy(birthdate, (expectancy) => {
+    chrome.storage.local.get(['lifeChapters'], (data) => {
+      const chapters = data.lifeChapters || [];
+      const totalWeeks = Math.ceil(expectancy) * 52;
+      const current = LifeClock.weekOfLife(birthdate, new Date());
+      const livedWeeks = current.year * 52 + current.week;
+      
+      document.getElementById('weeksSummary').textContent =
+        `${livedWeeks.toLocaleString()} weeks lived · ${Math.max(0, totalWeeks - livedWeeks).toLocaleString()} to go`;
+      lifeWeeksUI.show({ birthdate, expectancy, chapters });
+      renderChapterList(chapters);
+    });
+  });
+}
+
+function renderChapterList(chapters) {
+  chapterList.innerHTML = '';
+  
+  chapters.forEach(chapter => {
+    const row = document.createElement('div');
+    row.className = 'chapter-row';
+    
+    const swatch = document.createElement('span');
+    swatch.className = 'chapter-swatch';
+    swatch.style.background = chapter.color;
+    
+    const label = document.createElement('span');
+    label.className = 'chapter-label';
+    label.textContent = `${chapter.title} (${chapter.start} → ${chapter.end})`;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'phase-remove';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove chapter';
+    removeBtn.addEventListener('click', () => {
+      if (!confirm(`Remove the "${chapter.title}" chapter?`)) return;
+      saveLifeChapters(chapters.filter(c => c.id !== chapter.id));
+    });
+    
+    row.append(swatch, label, removeBtn);
+    chapterList.appendChild(row);
+  });
+}
+
+function saveLifeChapters(chapters) {
+  chrome.storage.local.set({ lifeChapters: chapters }, () => {
+    showLifeWeeks(currentBirthdate);
+  });
+}
+
+document.getElementById('addChapterBtn').addEventListener('click', () => {
+  const title = chapterTitle.value.trim();
+  if (!title) {
+    alert('Please give the chapter a name.');
+    return;
+  }
+  if (!chapterStart.value || !chapterEnd.value || chapterStart.value > chapterEnd.value) {
+    alert('Please choose a start date on or before the end date.');
+    return;
+  }
+  
+  chrome.storage.local.get(['lifeChapters'], (data) => {
+    const chapters = data.lifeChapters || [];
+    chapters.push({
+      id: `chapter_${Date.now()}`,
+      title,
+      start: chapterStart.value,
+      end: chapterEnd.value,
+      color: chapterColor.value
+    });
+    
+    chapterTitle.value = '';
+    chapterStart.value = '';
+    chapterEnd.value = '';
+    lifeWeeksUI.clearSelection();
+    saveLifeChapters(chapters);
+  });
+});
+
+// Milestones
+const milestoneList = document.getElementById('milestoneList');
+const milestoneSort = document.getElementById('milestoneSort');
+const pinnedMilestones = document.getElementById('pinnedMilestones');
+let milestones = [];
+
+function loadMilestones() {
+  chrome.storage.local.get(['lifeMilestones', 'milestoneSort', 'birthday'], (data) => {
+    milestones = data.lifeMilestones || [];
+    milestoneSort.value = data.milestoneSort || 'date';
+    
+    // Seed a yearly birthday countdown the first time milestones are opened
+    if (!data.lifeMilestones && data.birthday) {
+      milestones = [{
+        id: 'milestone_birthday',
+        title: '🎂 Next birthday',
+        date: data.birthday,
+        repeat: 'yearly',
+        pinned: false,
+        createdAt: Date.now()
+      }];
+      chrome.storage.local.set({ lifeMilestones: milestones });
+    }
+    
+    renderMilestones();
+  });
+}
+
+function saveMilestones() {
+  chrome.storage.local.set({ lifeMilestones: milestones }, renderMilestones);
+}
+
+function renderMilestones() {
+  const now = new Date();
+  const resolved = Milestones.sort(milestones.map(m => Milestones.resolve(m, now)), milestoneSort.value);
+  
+  milestoneList.innerHTML = '';
+  if (resolved.length === 0) {
+    milestoneList.innerHTML = '<p class="stats-empty">No milestones yet.</p>';
+  }
+  
+  resolved.forEach(milestone => {
+    const row = document.createElement('div');
+    row.className = 'milestone-row';
+    row.dataset.id = milestone.id;
+    
+    const header = document.createElement('div');
+    header.className = 'milestone-header';
+    
+    const title = document.createElement('span');
+    title.className = 'milestone-title';
+    title.textContent = milestone.title;
+    title.title = `${milestone.target.toLocaleDateString()}${milestone.repeat === 'yearly' ? ' (yearly)' : ''}`;
+    
+    const pinBtn = document.createElement('button');
+    pinBtn.className = `milestone-pin${milestone.pinned ? ' pinned' : ''}`;
+    pinBtn.textContent = '📌';
+    pinBtn.title = milestone.pinned ? 'Unpin from header' : 'Pin to header';
+    pinBtn.addEventListener('click', () => {
+      milestones = milestones.map(m => (m.id === milestone.id ? { ...m, pinned: !m.pinned } : m));
+      saveMilestones();
+    });
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'phase-remove';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove milestone';
+    removeBtn.addEventListener('click', () => {
+      if (!confirm(`Remove the "${milestone.title}" milestone?`)) return;
+      milestones = milestones.filter(m => m.id !== milestone.id);
+      saveMilestones();
+    });
+    
+    header.append(title, pinBtn, removeBtn);
+    
+    const countdown = document.createElement('div');
+    countdown.className = 'milestone-countdown';
+    
+    const bar = document.createElement('div');
+    bar.className = 'progress-bar milestone-progress';
+    const fill = document.createElement('div');
+    fill.className = 'milestone-progress-fill';
+    bar.appendChild(fill);
+    
+    row.append(header, countdown, bar);
+    milestoneList.appendChild(row);
+  });
+  
+  updateMilestoneCountdowns();
+}
+
+// Refresh countdown text and progress without rebuilding the list
+function updateMilestoneCountdowns() {
+  const now = new Date();
+  const resolvedById = {};
+  milestones.forEach(m => { resolvedById[m.id] = Milestones.resolve(m, now); });
+  
+  milestoneList.querySelectorAll('.milestone-row').forEach(row => {
+    const milestone = resolvedById[row.dataset.id];
+    if (!milestone) return;
+    
+    row.querySelector('.milestone-countdown').textContent = milestone.isPast
+      ? `Reached ${milestone.target.toLocaleDateString()}`
+      : `${Milestones.formatDiff(milestone.diff)} · ${Math.round(milestone.progress * 100)}% elapsed`;
+    row.querySelector('.milestone-progress-fill').style.width = `${milestone.progress * 100}%`;
+  });
+  
+  pinnedMilestones.innerHTML = '';
+  milestones.filter(m => m.pinned).forEach(m => {
+    const milestone = resolvedById[m.id];
+    const line = document.createElement('div');
+    line.className = 'pinned-milestone';
+    line.textContent = `${milestone.title} · ${milestone.isPast ? 'reached' : Milestones.formatDiff(milestone.diff)}`;
+    pinnedMilestones.appendChild(line);
+  });
+}
+
+milestoneSort.addEventListener('change', () => {
+  chrome.storage.local.set({ milestoneSort: milestoneSort.value });
+  renderMilestones();
+});
+
+document.getElementById('addMilestoneBtn').addEventListener('click', () => {
+  const title = document.getElementById('milestoneTitle').value.trim();
+  const date = document.getElementById('milestoneDate').value;
+  const since = document.getElementById('milestoneSince').value;
+  
+  if (!title || !date) {
+    alert('Please enter a name and a target date.');
+    return;
+  }
+  if (since && since >= date) {
+    alert('The progress start date must be before the target date.');
+    return;
+  }
+  
+  milestones.push({
+    id: `milestone_${Date.now()}`,
+    title,
+    date,
+    since: since || null,
+    repeat: document.getElementById('milestoneYearly').checked ? 'yearly' : null,
+    pinned: document.getElementById('milestonePinned').checked,
+    createdAt: Date.now()
+  });
+  
+  document.getElementById('milestoneTitle').value = '';
+  document.getElementById('milestoneDate').value = '';
+  document.getElementById('milestoneSince').value = '';
+  document.getElementById('milestoneYearly').checked = false;
+  document.getElementById('milestonePinned').checked = false;
+  saveMilestones();
+});
+
+// Pinned milestones tick in the header whatever view is open
+loadMilestones();
+setInterval(updateMilestoneCountdowns, 1000);
+
+// Old toggle button functionality removed - now using dropdown navigation
+
+// Session plan editor
+const planMode = document.getElementById('planMode');
+const segmentedPlan = document.getElementById('segmentedPlan');
+const customPlan = document.getElementById('customPlan');
+const phaseList = document.getElementById('phaseList');
+let customPhases = [];
+
+planMode.addEventListener('change', () => {
+  const isCustom = planMode.value === 'custom';
+  
+  // Seed the custom plan from the segment inputs so it can be tweaked
+  if (isCustom && customPhases.length === 0) {
+    const total = parseInt(document.getElementById('totalTime').value);
+    const segment = parseInt(document.getElementById('segmentLength').value);
+    const grace = parseInt(document.getElementById('gracePeriod').value) || 0;
+    customPhases = total > 0 && segment > 0
+      ? TimerEngine.buildSegmentPhases(total, segment, grace)
+      : [{ label: 'Work', type: 'work', minutes: 25 }];
+    renderPhaseList();
+  }
+  
+  updatePlanModeVisibility();
+});
+
+function updatePlanModeVisibility() {
+  const isCustom = planMode.value === 'custom';
+  segmentedPlan.classList.toggle('hidden', isCustom);
+  customPlan.classList.toggle('hidden', !isCustom);
+}
+
+document.getElementById('addPhaseBtn').addEventListener('click', () => {
+  const last = customPhases[customPhases.length - 1];
+  customPhases.push(last && last.type === 'work'
+    ? { label: 'Break', type: 'break', minutes: 5 }
+    : { label: 'Work', type: 'work', minutes: 25 });
+  renderPhaseList();
+});
+
+function renderPhaseList() {
+  phaseList.innerHTML = '';
+  
+  customPhases.forEach((phase, index) => {
+    const row = document.createElement('div');
+    row.className = `phase-row phase-${phase.type}`;
+    
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.className = 'phase-label';
+    labelInput.value = phase.label;
+    labelInput.placeholder = 'Label';
+    labelInput.addEventListener('input', () => { phase.label = labelInput.value; });
+    
+    const minutesInput = document.createElement('input');
+    minutesInput.type = 'number';
+    minutesInput.className = 'phase-minutes';
+    minutesInput.min = '1';
+    minutesInput.value = phase.minutes;
+    minutesInput.addEventListener('input', () => { phase.minutes = parseInt(minutesInput.value); });
+    
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'phase-type';
+    typeSelect.innerHTML = '<option value="work">Work</option><option value="break">Break</option>';
+    typeSelect.value = phase.type;
+    typeSelect.addEventListener('change', () => {
+      phase.type = typeSelect.value;
+      row.className = `phase-row phase-${phase.type}`;
+    });
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'phase-remove';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove phase';
+    removeBtn.addEventListener('click', () => {
+      customPhases.splice(index, 1);
+      renderPhaseList();
+    });
+    
+    row.append(labelInput, minutesInput, typeSelect, removeBtn);
+    phaseList.appendChild(row);
+  });
+}
+
+// Timer presets
+const presetStore = new PresetStore();
+const presetSelect = document.getElementById('presetSelect');
+let timerPresets = [];
+
+async function loadPresets(selectedId) {
+  timerPresets = await presetStore.getAll();
+  const defaultId = await presetStore.getDefaultId();
+  
+  presetSelect.innerHTML = '';
+  timerPresets.forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.id === defaultId ? `★ ${preset.name}` : preset.name;
+    presetSelect.appendChild(option);
+  });
+  
+  presetSelect.value = timerPresets.some(p => p.id === selectedId) ? selectedId : defaultId;
+  applyPreset(getSelectedPreset());
+}
+
+function getSelectedPreset() {
+  return timerPresets.find(preset => preset.id === presetSelect.value) || null;
+}
+
+function applyPreset(preset) {
+  if (!preset) return;
+  
+  planMode.value = preset.mode;
+  if (preset.mode === 'custom') {
+    customPhases = PresetStore.getPhases(preset);
+  } else {
+    document.getElementById('totalTime').value = preset.total;
+    document.getElementById('segmentLength').value = preset.segment;
+    document.getElementById('gracePeriod').value = preset.grace;
+    customPhases = [];
+  }
+  
+  renderPhaseList();
+  updatePlanModeVisibility();
+}
+
+// Snapshot of the plan currently shown in the editor, in preset form
+function getCurrentPlan() {
+  if (planMode.value === 'custom') {
+    return { mode: 'custom', phases: customPhases.map(phase => ({ ...phase })) };
+  }
+  return {
+    mode: 'segmented',
+    total: parseInt(document.getElementById('totalTime').value),
+    segment: parseInt(document.getElementById('segmentLength').value),
+    grace: parseInt(document.getElementById('gracePeriod').value) || 0
+  };
+}
+
+// Runs a preset action, reporting validation and storage errors to the user
+async function runPresetAction(action) {
+  try {
+    await action();
+  } catch (error) {
+    console.error('Preset action failed:', error);
+    alert(error.message);
+  }
+}
+
+presetSelect.addEventListener('change', () => {
+  applyPreset(getSelectedPreset());
+});
+
+document.getElementById('savePresetBtn').addEventListener('click', () => runPresetAction(async () => {
+  const preset = getSelectedPreset();
+  if (!preset) return;
+  
+  const name = prompt('Preset name:', preset.name);
+  if (name === null) return;
+  
+  await presetStore.save({ ...getCurrentPlan(), name, id: preset.id });
+  await loadPresets(preset.id);
+}));
+
+document.getElementById('newPresetBtn').addEventListener('click', () => runPresetAction(async () => {
+  const name = prompt('Name for the new preset:');
+  if (name === null) return;
+  
+  const saved = await presetStore.save({ ...getCurrentPlan(), name });
+  await loadPresets(saved.id);
+}));
+
+document.getElementById('duplicatePresetBtn').addEventListener('click', () => runPresetAction(async () => {
+  const copy = await presetStore.duplicate(presetSelect.value);
+  await loadPresets(copy.id);
+}));
+
+document.getElementById('deletePresetBtn').addEventListener('click', () => runPresetAction(async () => {
+  const preset = getSelectedPreset();
+  if (!preset || !confirm(`Delete the "${preset.name}" preset?`)) return;
+  
+  await presetStore.remove(preset.id);
+  await loadPresets();
+}));
+
+document.getElementById('movePresetUpBtn').addEventListener('click', () => runPresetAction(async () => {
+  await presetStore.move(presetSelect.value, -1);
+  await loadPresets(presetSelect.value);
+}));
+
+document.getElementById('movePresetDownBtn').addEventListener('click', () => runPresetAction(async () => {
+  await presetStore.move(presetSelect.value, 1);
+  await loadPresets(presetSelect.value);
+}));
+
+document.getElementById('defaultPresetBtn').addEventListener('click', () => runPresetAction(async () => {
+  await presetStore.setDefault(presetSelect.value);
+  await loadPresets(presetSelect.value);
+}));
+
+function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking right away can cancel a large download before it starts
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.getElementById('exportPresetsBtn').addEventListener('click', () => runPresetAction(async () => {
+  downloadFile(await presetStore.exportJSON(), 'topboompop-presets.json', 'application/json');
+}));
+
+// Pasting avoids a file picker, which closes the extension popup when it opens
+document.getElementById('importPresetsBtn').addEventListener('click', () => runPresetAction(async () => {
+  const json = prompt('Paste the exported presets JSON:');
+  if (!json) return;
+  
+  const count = await presetStore.importJSON(json);
+  await loadPresets(presetSelect.value);
+  alert(`Imported ${count} preset${count === 1 ? '' : 's'}.`);
+}));
+
+loadPresets().catch(error => console.error('Failed to load presets:', error));
+
+// Session task: link a session to today's journal goal or a named task
+const forDailyGoal = document.getElementById('forDailyGoal');
+const sessionTask = document.getElementById('sessionTask');
+
+forDailyGoal.addEventListener('change', () => {
+  if (!forDailyGoal.checked) {
+    sessionTask.disabled = false;
+    sessionTask.value = '';
+    return;
+  }
+  
+  chrome.storage.local.get(['journalEntries'], (data) => {
+    const entry = (data.journalEntries || {})[LifeClock.formatDate(new Date())];
+    if (!entry || !entry.goal) {
+      alert('Set a goal in today\'s journal entry first.');
+      forDailyGoal.checked = false;
+      return;
+    }
+    sessionTask.value = entry.goal;
+    sessionTask.disabled = true;
+  });
+});
+
+function getSessionTask() {
+  const label = sessionTask.value.trim();
+  if (!label) return null;
+  
+  return { label, goal: forDailyGoal.checked, date: LifeClock.formatDate(new Date()) };
+}
+
+// Settings view. Each control saves its own section; the background worker and
+// any other open page pick changes up through settingsStore.onChange
+const idleMode = document.getElementById('idleMode');
+const idleMinutes = document.getElementById('idleMinutes');
+const idleAutoResume = document.getElementById('idleAutoResume');
+const blockEnabled = document.getElementById('blockEnabled');
+const blockMode = document.getElementById('blockMode');
+const blockSites = document.getElementById('blockSites');
+const apiBaseUrl = document.getElementById('apiBaseUrl');
+const checkUpdates = document.getElementById('checkUpdates');
+
+function saveSettings(section, values) {
+  settingsStore.update(section, values).catch((error) => {
+    console.error('Error saving settings:', error);
+    alert('That setting could not be saved. Please check the value and try again.');
+    settingsStore.load().then(applySettingsToForms);
+  });
+}
+
+function applySettingsToForms(settings) {
+  idleMode.value = settings.idle.mode;
+  idleMinutes.value = settings.idle.minutes;
+  idleAutoResume.checked = settings.idle.autoResume;
+  updateIdleOptions();
+  
+  blockEnabled.checked = settings.blocking.enabled;
+  blockMode.value = settings.blocking.mode;
+  blockSites.value = settings.blocking.sites.join('\n');
+  document.getElementById('blockOptions').classList.toggle('hidden', !settings.blocking.enabled);
+  
+  soundSettings = settings.sounds;
+  renderSoundSettings();
+  
+  apiBaseUrl.value = settings.api.baseUrl;
+  checkUpdates.checked = settings.updates.check;
+}
+
+// Idle: the background worker watches chrome.idle
+function updateIdleOptions() {
+  document.getElementById('idleOptions').classList.toggle('hidden', idleMode.value === 'off');
+  document.getElementById('idleAutoResumeLabel').classList.toggle('hidden', idleMode.value !== 'pause');
+}
+
+[idleMode, idleMinutes, idleAutoResume].forEach(input => {
+  input.addEventListener('change', () => {
+    const minutes = parseInt(idleMinutes.value, 10);
+    if (!minutes || minutes < 1 || minutes > 60) {
+      alert('Please enter between 1 and 60 minutes.');
+      return;
+    }
+    
+    updateIdleOptions();
+    saveSettings('idle', { mode: idleMode.value, minutes, autoResume: idleAutoResume.checked });
+  });
+});
+
+// Distraction blocking; the background worker applies it during work phases
+function saveBlockSettings() {
+  const lines = blockSites.value.split('\n').filter(line => line.trim());
+  const sites = lines.map(line => SiteBlocker.normalizeSite(line));
+  
+  const invalid = lines.filter((line, index) => !sites[index]);
+  if (invalid.length > 0) {
+    alert(`These don't look like sites: ${invalid.join(', ')}`);
+    return;
+  }
+  
+  document.getElementById('blockOptions').classList.toggle('hidden', !blockEnabled.checked);
+  saveSettings('blocking', { enabled: blockEnabled.checked, mode: blockMode.value, sites: [...new Set(sites)] });
+}
+
+blockEnabled.addEventListener('change', () => {
+  if (!blockEnabled.checked) {
+    saveBlockSettings();
+    return;
+  }
+  
+  // Redirecting pages needs access to every site, which is only asked for when blocking is turned on
+  chrome.permissions.request({ origins: ['<all_urls>'] }, (granted) => {
+    if (!granted) {
+      blockEnabled.checked = false;
+      alert('Blocking needs permission to redirect the sites you list.');
+      return;
+    }
+    saveBlockSettings();
+  });
+});
+
+blockMode.addEventListener('change', saveBlockSettings);
+blockSites.addEventListener('change', saveBlockSettings);
+
+// Sounds: the background worker plays them through its offscreen document
+const SOUND_CUES = [
+  { key: 'workStart', label: 'Work starts', sounds: SoundPlayer.chimes },
+  { key: 'breakStart', label: 'Break starts', sounds: SoundPlayer.chimes },
+  { key: 'sessionComplete', label: 'Session complete', sounds: SoundPlayer.chimes },
+  { key: 'ambient', label: 'Ambient during work', sounds: SoundPlayer.ambientTracks }
+];
+const soundSettingsPanel = document.getElementById('soundSettingsPanel');
+const previewPlayer = new SoundPlayer();
+let soundSettings = SettingsStore.defaults.sounds;
+
+function renderSoundSettings() {
+  soundSettingsPanel.innerHTML = '';
+  
+  SOUND_CUES.forEach(cue => {
+    const row = document.createElement('div');
+    row.className = 'sound-row';
+    
+    const label = document.createElement('span');
+    label.className = 'sound-label';
+    label.textContent = cue.label;
+    
+    const select = document.createElement('select');
+    select.className = 'tool-selector';
+    [['none', 'None'], ...Object.entries(cue.sounds).map(([id, sound]) => [id, sound.name])].forEach(([value, name]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.value = soundSettings[cue.key].sound;
+    
+    const volume = document.createElement('input');
+    volume.type = 'range';
+    volume.min = '0';
+    volume.max = '1';
+    volume.step = '0.05';
+    volume.value = soundSettings[cue.key].volume;
+    volume.title = 'Volume';
+    
+    const previewBtn = document.createElement('button');
+    previewBtn.className = 'preset-btn';
+    previewBtn.textContent = '▶';
+    previewBtn.title = 'Preview';
+    previewBtn.addEventListener('click', () => previewSound(cue.key));
+    
+    const save = () => {
+      soundSettings = { ...soundSettings, [cue.key]: { sound: select.value, volume: parseFloat(volume.value) } };
+      saveSettings('sounds', soundSettings);
+    };
+    select.addEventListener('change', save);
+    volume.addEventListener('change', save);
+    
+    row.append(label, select, volume, previewBtn);
+    soundSettingsPanel.appendChild(row);
+  });
+}
+
+function previewSound(key) {
+  const { sound, volume } = soundSettings[key];
+  if (key !== 'ambient') {
+    previewPlayer.playChime(sound, volume);
+    return;
+  }
+  
+  // Play a few seconds of the ambient track
+  previewPlayer.startAmbient(sound, volume);
+  setTimeout(() => previewPlayer.stopAmbient(), 3000);
+}
+
+// Dream analysis API and update checks
+apiBaseUrl.addEventListener('change', () => {
+  saveSettings('api', { baseUrl: apiBaseUrl.value.trim().replace(/\/$/, '') });
+});
+
+checkUpdates.addEventListener('change', () => {
+  saveSettings('updates', { check: checkUpdates.checked });
+});
+
+// Journal data export and import
+const importJournalFile = document.getElementById('importJournalFile');
+const importPreview = document.getElementById('importPreview');
+
+function exportJournal(format) {
+  chrome.storage.local.get(['journalEntries', 'sessionHistory'], async (data) => {
+    const entries = data.journalEntries || {};
+    const dreamLog = await dreamStore.getLog();
+    const stamp = LifeClock.formatDate(new Date());
+    
+    if (format === 'json') {
+      const json = JournalExport.toJSON({ ...data, dreamLog, settings: await settingsStore.load() });
+      downloadFile(json, `topboompop-backup-${stamp}.json`, 'application/json');
+    } else if (format === 'markdown') {
+      downloadFile(JournalExport.toMarkdownBundle(entries, dreamLog, data.sessionHistory || []), `topboompop-journal-${stamp}.zip`, 'application/zip');
+    } else {
+      downloadFile(JournalExport.toCSV(entries), `topboompop-journal-${stamp}.csv`, 'text/csv');
+    }
+  });
+}
+
+document.getElementById('exportJsonBtn').addEventListener('click', () => exportJournal('json'));
+document.getElementById('exportMarkdownBtn').addEventListener('click', () => exportJournal('markdown'));
+document.getElementById('exportCsvBtn').addEventListener('click', () => exportJournal('csv'));
+
+// A file picker closes the extension popup when it opens, so imports run in the dashboard
+document.getElementById('importJournalBtn').addEventListener('click', () => {
+  if (!document.body.classList.contains('dashboard')) {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html#settings') });
+    return;
+  }
+  importJournalFile.click();
+});
+
+importJournalFile.addEventListener('change', async () => {
+  const file = importJournalFile.files[0];
+  importJournalFile.value = '';
+  if (!file) return;
+  
+  let backup;
+  try {
+    backup = JournalExport.parseBackup(await file.text());
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  
+  chrome.storage.local.get(['journalEntries'], async (data) => {
+    showImportPreview(backup, data.journalEntries || {}, await dreamStore.getLog());
+  });
+});
+
+function showImportPreview(backup, existing, dreamLog) {
+  const dates = Object.keys(backup.journalEntries);
+  const conflicts = JournalExport.findConflicts(existing, backup.journalEntries);
+  const added = dates.filter(date => !existing[date]).length;
+  const storedDreams = new Set(dreamLog.dreams.map(dream => dream.id));
+  const newDreams = backup.dreamLog.dreams.filter(dream => !storedDreams.has(dream.id)).length;
   
-  // Update progress bar width
-  progressBar.style.width = `${progressPercent}%`;
+  importPreview.innerHTML = '';
+  const summary = document.createElement('p');
+  summary.textContent = `${dates.length} entries in the file: ${added} new, ${conflicts.length} different from yours, ` +
+    `${dates.length - added - conflicts.length} unchanged. ${backup.dreamLog.dreams.length} dreams (${newDreams} new). ` +
+    `${backup.sessionHistory.length} focus sessions.`;
+  importPreview.appendChild(summary);
   
-  // Update color based on life stage
-  progressBar.className = 'life-progress-bar';
-  if (livedYears <= 25) {
-    progressBar.classList.add('life-stage-early'); // Green - Youth
-  } else if (livedYears <= 50) {
-    progressBar.classList.add('life-stage-mid'); // Yellow - Middle age
-  } else if (livedYears <= 75) {
-    progressBar.classList.add('life-stage-late'); // Red - Senior
-  } else {
-    progressBar.classList.add('life-stage-final'); // Dark red - Final years
+  if (conflicts.length > 0) {
+    const list = document.createElement('p');
+    list.className = 'import-conflicts';
+    const shown = conflicts.slice(0, 10).join(', ');
+    list.textContent = `Conflicting dates: ${shown}${conflicts.length > 10 ? ` and ${conflicts.length - 10} more` : ''}`;
+    importPreview.appendChild(list);
   }
+  
+  const actions = document.createElement('div');
+  actions.className = 'data-actions';
+  [
+    ['merge', 'Merge', 'Keep your entries on conflicting dates, filling in only their empty fields'],
+    ['overwrite', 'Overwrite', 'Replace your entries on conflicting dates, your dreams and your settings with the file\'s']
+  ].forEach(([mode, label, title]) => {
+    const button = document.createElement('button');
+    button.className = 'preset-btn';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', () => applyImport(backup, mode));
+    actions.appendChild(button);
+  });
+  
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'preset-btn';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => importPreview.classList.add('hidden'));
+  actions.appendChild(cancelBtn);
+  
+  importPreview.appendChild(actions);
+  importPreview.classList.remove('hidden');
 }
 
-function startLifeProgressAnimation(birthdate) {
-  // Clear any existing interval
-  if (lifeProgressInterval) {
-    clearInterval(lifeProgressInterval);
-  }
-  
-  // Update every second for smooth animation
-  lifeProgressInterval = setInterval(() => {
-    const now = new Date();
-    const birth = new Date(birthdate);
-    const ageMs = now - birth;
-    const livedYears = ageMs / (1000 * 60 * 60 * 24 * 365.25);
-    
-    // Update the display
-    lived.textContent = `Time Lived: ${livedYears.toFixed(2)} years`;
+function applyImport(backup, mode) {
+  // Read again so entries saved since the preview aren't lost
+  chrome.storage.local.get(['journalEntries', 'sessionHistory'], async (data) => {
+    const journalEntries = JournalExport.mergeEntries(data.journalEntries || {}, backup.journalEntries, mode);
+    const sessionHistory = JournalExport.mergeHistory(data.sessionHistory || [], backup.sessionHistory);
     
-    // Update countdown
-    updateLifeCountdown(birthdate);
+    await dreamStore.replace(JournalExport.mergeDreamLog(await dreamStore.getLog(), backup.dreamLog, mode));
+    if (mode === 'overwrite' && backup.settings) {
+      await settingsStore.replace(backup.settings);
+    }
     
-    // Update progress bar
-    updateLifeProgressBar(livedYears);
-  }, 1000);
+    chrome.storage.local.set({ journalEntries, sessionHistory }, () => {
+      importPreview.classList.add('hidden');
+      alert('Import complete.');
+      loadJournalEntry();
+    });
+  });
 }
 
-function updateLifeCountdown(birthdate) {
-  const now = new Date();
-  const birth = new Date(birthdate);
-  const deathDate = new Date(birth.getTime() + (MAX_AGE * 365.25 * 24 * 60 * 60 * 1000));
-  const timeLeft = deathDate - now;
-  
-  if (timeLeft <= 0) {
-    // Life completed
-    document.getElementById('yearsLeft').textContent = '00';
-    document.getElementById('monthsLeft').textContent = '00';
-    document.getElementById('daysLeft').textContent = '00';
-    document.getElementById('hoursLeft').textContent = '00';
-    document.getElementById('minutesLeft').textContent = '00';
-    document.getElementById('secondsLeft').textContent = '00';
-    return;
-  }
-  
-  // Calculate time components
-  const years = Math.floor(timeLeft / (365.25 * 24 * 60 * 60 * 1000));
-  const months = Math.floor((timeLeft % (365.25 * 24 * 60 * 60 * 1000)) / (30.44 * 24 * 60 * 60 * 1000));
-  const days = Math.floor((timeLeft % (30.44 * 24 * 60 * 60 * 1000)) / (24 * 60 * 60 * 1000));
-  const hours = Math.floor((timeLeft % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000));
-  const minutes = Math.floor((timeLeft % (60 * 60 * 1000)) / (60 * 1000));
-  const seconds = Math.floor((timeLeft % (60 * 1000)) / 1000);
-  
-  // Update display with zero padding
-  document.getElementById('yearsLeft').textContent = years.toString().padStart(2, '0');
-  document.getElementById('monthsLeft').textContent = months.toString().padStart(2, '0');
-  document.getElementById('daysLeft').textContent = days.toString().padStart(2, '0');
-  document.getElementById('hoursLeft').textContent = hours.toString().padStart(2, '0');
-  document.getElementById('minutesLeft').textContent = minutes.toString().padStart(2, '0');
-  document.getElementById('secondsLeft').textContent = seconds.toString().padStart(2, '0');
-}
+document.getElementById('resetSettingsBtn').addEventListener('click', () => {
+  if (!confirm('Reset all settings to their defaults? Your journal, sessions and presets are kept.')) return;
+  settingsStore.reset();
+});
 
-// Old toggle button functionality removed - now using dropdown navigation
+settingsStore.load().then(applySettingsToForms);
 
-document.getElementById('startBtn').addEventListener('click', () => {
+settingsStore.onChange((settings, previous) => {
+  applySettingsToForms(settings);
+  
+  // Redraw the Life Clock when its expectancy changed elsewhere
+  if (previous && JSON.stringify(settings.life) !== JSON.stringify(previous.life) &&
+      lifeClockView.classList.contains('active') && currentBirthdate) {
+    showLifeClock(currentBirthdate);
+  }
+});
+
+// Returns the phase list for the selected plan, or null if the inputs are invalid
+function getPlannedPhases() {
+  if (planMode.value === 'custom') {
+    if (customPhases.length === 0) {
+      alert('Please add at least one phase');
+      return null;
+    }
+    if (customPhases.some(phase => !phase.minutes || phase.minutes <= 0)) {
+      alert('Every phase needs a length greater than 0 minutes');
+      return null;
+    }
+    return customPhases.map(phase => ({ ...phase }));
+  }
+  
   const total = parseInt(document.getElementById('totalTime').value);
   const segment = parseInt(document.getElementById('segmentLength').value);
   const grace = parseInt(document.getElementById('gracePeriod').value);
@@ -305,21 +1331,28 @@ document.getElementById('startBtn').addEventListener('click', () => {
   // Validate inputs
   if (!total || total <= 0) {
     alert('Please enter a valid total time (greater than 0)');
-    return;
+    return null;
   }
   if (!segment || segment <= 0) {
     alert('Please enter a valid segment length (greater than 0)');
-    return;
+    return null;
   }
   if (grace < 0) {
     alert('Grace period cannot be negative');
-    return;
+    return null;
   }
   if (segment >= total) {
     alert('Segment length must be less than total time');
-    return;
+    return null;
   }
   
+  return TimerEngine.buildSegmentPhases(total, segment, grace || 0);
+}
+
+document.getElementById('startBtn').addEventListener('click', () => {
+  const phases = getPlannedPhases();
+  if (!phases) return;
+  
   // Disable button and show feedback
   const startBtn = document.getElementById('startBtn');
   const originalText = startBtn.textContent;
@@ -332,22 +1365,12 @@ document.getElementById('startBtn').addEventListener('click', () => {
     timerInterval = null;
   }
   
-  // Store timer data (convert minutes to seconds for countdown)
-  currentTimer = {
-    total,
-    segment,
-    grace,
-    fullBlock: segment + grace,
-    blocks: Math.floor(total / (segment + grace)),
-    remainingTime: total % (segment + grace),
-    currentBlock: 0,
-    currentTime: segment * 60, // Convert minutes to seconds
-    isWorkTime: true,
-    startTime: Date.now()
-  };
+  // Show the initial state until the background reports back
+  const task = getSessionTask();
+  currentTimer = TimerEngine.getState(TimerEngine.createSession(phases, Date.now(), task));
   
   // Send message to background script
-  chrome.runtime.sendMessage({ type: 'START_TIMER', total, segment, grace }, (response) => {
+  chrome.runtime.sendMessage({ type: 'START_TIMER', phases, task }, (response) => {
     if (response && response.success) {
       // Timer started successfully in background
       console.log('Timer started in background');
@@ -359,14 +1382,12 @@ document.getElementById('startBtn').addEventListener('click', () => {
   birthdaySetup.classList.remove('active');
   countdownView.classList.add('active');
   
-  // Save timer to storage
-  chrome.storage.local.set({ currentTimer });
-  
   // Start countdown display
   startCountdown();
   
   // Show confirmation
-  alert(`Timer started! You'll receive notifications for ${currentTimer.blocks} segments of ${segment} minutes each, with ${grace} minute breaks.`);
+  const workMinutes = phases.filter(phase => phase.type === 'work').reduce((sum, phase) => sum + phase.minutes, 0);
+  alert(`Timer started! You'll receive notifications for ${phases.length} phases with ${workMinutes} minutes of focus time.`);
 });
 
 // Stop button functionality
@@ -384,38 +1405,58 @@ document.getElementById('resumeBtn').addEventListener('click', () => {
   resumeTimer();
 });
 
+// Phase controls: each message changes the session in the background and the
+// next sync picks it up
+[
+  ['previousPhaseBtn', { type: 'PREVIOUS_PHASE' }],
+  ['shortenPhaseBtn', { type: 'ADJUST_PHASE', minutes: -5 }],
+  ['extendPhaseBtn', { type: 'ADJUST_PHASE', minutes: 5 }],
+  ['skipPhaseBtn', { type: 'SKIP_PHASE' }],
+  ['endPhaseEarlyBtn', { type: 'END_PHASE_EARLY' }]
+].forEach(([id, message]) => {
+  document.getElementById(id).addEventListener('click', () => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (response && response.success) {
+        syncCountdown();
+      }
+    });
+  });
+});
+
 function startCountdown() {
   if (!currentTimer) return;
   
   updateCountdownDisplay();
   
   // Sync with background timer every second
-  timerInterval = setInterval(() => {
-    // Get current state from background
-    chrome.runtime.sendMessage({ type: 'GET_TIMER_STATE' }, (response) => {
-      if (response && response.currentTimer) {
-        currentTimer = response.currentTimer;
-        isPaused = response.isPaused || false;
-        
-        // Update button states
-        document.getElementById('pauseBtn').style.display = isPaused ? 'none' : 'block';
-        document.getElementById('resumeBtn').style.display = isPaused ? 'block' : 'none';
-        
-        updateCountdownDisplay();
-        
-        // Check if timer completed
-        if (currentTimer.currentTime <= 0 && 
-            currentTimer.currentBlock >= currentTimer.blocks && 
-            !currentTimer.isWorkTime) {
-          alert('Timer has ended. Great work! 🎉');
-          stopTimer();
-        }
-      } else {
-        // Timer was stopped in background
+  timerInterval = setInterval(syncCountdown, 1000);
+}
+
+function syncCountdown() {
+  // Get current state from background
+  chrome.runtime.sendMessage({ type: 'GET_TIMER_STATE' }, (response) => {
+    if (!timerInterval) return;
+    
+    if (response && response.currentTimer) {
+      currentTimer = response.currentTimer;
+      isPaused = response.isPaused || false;
+      
+      // Update button states
+      document.getElementById('pauseBtn').style.display = isPaused ? 'none' : 'block';
+      document.getElementById('resumeBtn').style.display = isPaused ? 'block' : 'none';
+      
+      updateCountdownDisplay();
+      
+      // Check if timer completed
+      if (currentTimer.isComplete) {
+        alert('Timer has ended. Great work! 🎉');
         stopTimer();
       }
-    });
-  }, 1000);
+    } else {
+      // Timer was stopped in background
+      stopTimer();
+    }
+  });
 }
 
 function updateCountdownDisplay() {
@@ -427,30 +1468,22 @@ function updateCountdownDisplay() {
   
   document.getElementById('countdownTime').textContent = timeStr;
   
-  // Calculate correct segment display
-  let segmentDisplay;
-  if (currentTimer.isWorkTime) {
-    if (currentTimer.currentBlock < currentTimer.blocks) {
-      segmentDisplay = `Segment ${currentTimer.currentBlock + 1} of ${currentTimer.blocks}`;
-    } else {
-      // Final remaining time segment
-      segmentDisplay = `Final Segment`;
-    }
-  } else {
-    // Break time
-    if (currentTimer.currentBlock < currentTimer.blocks) {
-      segmentDisplay = `Break after Segment ${currentTimer.currentBlock + 1}`;
-    } else {
-      segmentDisplay = `Final Break`;
-    }
-  }
+  // Show the current phase and where it sits in the plan
+  const segmentDisplay = `${currentTimer.label} · ${currentTimer.phaseIndex + 1} of ${currentTimer.phases.length}`;
   
   document.getElementById('currentSegment').textContent = segmentDisplay;
   document.getElementById('sessionType').textContent = currentTimer.isWorkTime ? 'Work Time' : 'Break Time';
+  document.getElementById('endPhaseEarlyBtn').classList.toggle('hidden', !currentTimer.isWorkTime);
+  
+  const taskLabel = document.getElementById('sessionTaskLabel');
+  taskLabel.classList.toggle('hidden', !currentTimer.task);
+  if (currentTimer.task) {
+    taskLabel.textContent = `${currentTimer.task.goal ? '🎯' : '📌'} ${currentTimer.task.label}`;
+  }
   
   // Update progress bar
-  const totalElapsedSeconds = (currentTimer.total * 60) - getTotalRemainingTime(); // Convert total to seconds
-  const progressPercent = Math.min((totalElapsedSeconds / (currentTimer.total * 60)) * 100, 100);
+  const totalElapsedSeconds = currentTimer.totalDuration - getTotalRemainingTime();
+  const progressPercent = Math.min((totalElapsedSeconds / currentTimer.totalDuration) * 100, 100);
   document.getElementById('progressFill').style.width = `${progressPercent}%`;
   document.getElementById('sessionProgress').textContent = `Total Progress: ${Math.round(progressPercent)}%`;
 }
@@ -458,34 +1491,10 @@ function updateCountdownDisplay() {
 function getTotalRemainingTime() {
   if (!currentTimer) return 0;
   
-  let remaining = 0;
-  
-  // Add remaining time in current segment
-  remaining += currentTimer.currentTime;
-  
-  if (currentTimer.isWorkTime) {
-    // Currently in work time
-    if (currentTimer.currentBlock < currentTimer.blocks - 1) {
-      // Add break after current work + remaining full blocks
-      remaining += currentTimer.grace * 60; // Convert minutes to seconds
-      remaining += (currentTimer.blocks - currentTimer.currentBlock - 1) * currentTimer.fullBlock * 60; // Convert minutes to seconds
-    } else if (currentTimer.currentBlock === currentTimer.blocks - 1) {
-      // Last regular segment, add break only if there's remaining time
-      if (currentTimer.remainingTime > 0) {
-        remaining += currentTimer.grace * 60; // Convert minutes to seconds
-      }
-    }
-    // If currentBlock >= blocks, we're in final segment, no additional time
-  } else {
-    // Currently in break time
-    if (currentTimer.currentBlock < currentTimer.blocks) {
-      // Add remaining full blocks after this break
-      remaining += (currentTimer.blocks - currentTimer.currentBlock - 1) * currentTimer.fullBlock * 60; // Convert minutes to seconds
-    }
-    // If currentBlock >= blocks, we're in final break, no additional time
-  }
-  
-  return remaining;
+  // Remaining time in the current phase plus every phase still to come
+  return currentTimer.phases
+    .slice(currentTimer.phaseIndex + 1)
+    .reduce((remaining, phase) => remaining + phase.duration, currentTimer.currentTime);
 }
 
 function pauseTimer() {
@@ -539,28 +1548,25 @@ function stopTimer() {
 
 // Journal functionality
 function loadJournalEntry() {
-  const dateKey = formatDateKey(currentJournalDate);
+  const dateKey = LifeClock.formatDate(currentJournalDate);
   updateJournalDateDisplay();
   
   // Load existing entry
-  chrome.storage.local.get(['journalEntries'], (data) => {
+  chrome.storage.local.get(['journalEntries', 'sessionHistory'], (data) => {
     const entries = data.journalEntries || {};
     const entry = entries[dateKey];
+    showJournalCalendar(entries);
+    showJournalDreams(dateKey);
+    currentEntrySessions = DataStore.linkedSessions(data.sessionHistory || [])[dateKey] || [];
     
     if (entry) {
       journalText.value = entry.text || '';
       dailyGoal.value = entry.goal || '';
+      goalAchieved.checked = Boolean(entry.goalAchieved);
       gratitude.value = entry.gratitude || '';
-      dreamEntry.value = entry.dream || '';
       selectedMood = entry.mood || null;
       updateMoodButtons();
-      
-      // Load dream analysis if it exists
-      if (entry.dreamAnalysis) {
-        displayDreamAnalysis(entry.dreamAnalysis);
-      } else {
-        hideDreamAnalysis();
-      }
+      updateGoalFocus();
     } else {
       clearJournalForm();
     }
@@ -586,18 +1592,164 @@ function updateJournalDateDisplay() {
   nextDayBtn.style.opacity = isToday ? '0.5' : '1';
 }
 
-function formatDateKey(date) {
-  return date.toISOString().split('T')[0];
+// Month calendar and year heatmap colored by mood; clicking a day opens it
+const journalCalendar = document.getElementById('journalCalendar');
+const journalCalendarUI = new JournalCalendarUI();
+
+journalCalendarUI.init(journalCalendar, (dateKey) => {
+  currentJournalDate = LifeClock.parseDate(dateKey);
+  loadJournalEntry();
+});
+
+document.getElementById('journalCalendarBtn').addEventListener('click', () => {
+  journalCalendar.classList.toggle('hidden');
+  loadJournalEntry();
+});
+
+// Redraw the open calendar with the latest entries
+function showJournalCalendar(entries) {
+  if (!journalCalendar.classList.contains('hidden')) {
+    dreamStore.getLog().then((log) => {
+      journalCalendarUI.show(entries, LifeClock.formatDate(currentJournalDate), DreamStore.byNight(log.dreams));
+    });
+  }
+}
+
+// The day's dreams are kept in the dream log; the journal lists them
+function showJournalDreams(dateKey) {
+  dreamStore.getLog().then((log) => {
+    allDreams = log.dreams;
+    renderDreamList(journalDreams, DreamStore.byNight(log.dreams)[dateKey] || [], 'No dreams logged.');
+  });
+}
+
+document.getElementById('openDreamLogBtn').addEventListener('click', () => {
+  currentDreamNight = new Date(currentJournalDate);
+  toolSelector.value = 'dreams';
+  switchView('dreams');
+});
+
+// Search across every entry; results jump to their day
+const journalSearchPanel = document.getElementById('journalSearchPanel');
+const journalSearchInput = document.getElementById('journalSearchInput');
+const journalSearchResults = document.getElementById('journalSearchResults');
+const searchFilters = ['searchMood', 'searchFrom', 'searchTo', 'searchHasDream'].map(id => document.getElementById(id));
+let journalIndex = [];
+
+document.getElementById('journalSearchBtn').addEventListener('click', () => {
+  if (!journalSearchPanel.classList.toggle('hidden')) {
+    openJournalSearch();
+  }
+});
+
+function openJournalSearch() {
+  // Indexed on open so entries saved in the meantime are included
+  chrome.storage.local.get(['journalEntries'], async (data) => {
+    const log = await dreamStore.getLog();
+    journalIndex = JournalSearch.index(data.journalEntries || {}, DreamStore.byNight(log.dreams));
+    runJournalSearch();
+    journalSearchInput.focus();
+  });
+}
+
+function runJournalSearch() {
+  const [mood, from, to, hasDream] = searchFilters;
+  const options = {
+    query: journalSearchInput.value,
+    mood: mood.value,
+    from: from.value,
+    to: to.value,
+    hasDream: hasDream.checked
+  };
+  journalSearchResults.innerHTML = '';
+  
+  const filtered = options.query.trim() || options.mood || options.from || options.to || options.hasDream;
+  if (!filtered) return;
+  
+  const results = JournalSearch.search(journalIndex, options);
+  if (results.length === 0) {
+    journalSearchResults.textContent = 'No matching entries.';
+    return;
+  }
+  
+  const terms = JournalSearch.terms(options.query);
+  results.slice(0, 50).forEach(result => {
+    const item = document.createElement('button');
+    item.className = 'search-result';
+    
+    const heading = document.createElement('div');
+    heading.className = 'search-result-date';
+    const moodButton = result.mood && document.querySelector(`.mood-btn[data-mood="${result.mood}"]`);
+    heading.textContent = `${moodButton ? `${moodButton.textContent} ` : ''}${LifeClock.parseDate(result.date).toLocaleDateString('en-US', {
+      weekday: 'short',
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    })}`;
+    item.appendChild(heading);
+    
+    result.matches.slice(0, 2).forEach(match => {
+      const line = document.createElement('div');
+      line.className = 'search-result-match';
+      const label = document.createElement('span');
+      label.className = 'search-result-field';
+      label.textContent = `${match.label}: `;
+      line.appendChild(label);
+      
+      JournalSearch.highlight(match.text, terms).forEach(part => {
+        const node = document.createElement(part.match ? 'mark' : 'span');
+        node.textContent = part.text;
+        line.appendChild(node);
+      });
+      item.appendChild(line);
+    });
+    
+    item.addEventListener('click', () => {
+      currentJournalDate = LifeClock.parseDate(result.date);
+      journalSearchPanel.classList.add('hidden');
+      loadJournalEntry();
+    });
+    journalSearchResults.appendChild(item);
+  });
+  
+  if (results.length > 50) {
+    const more = document.createElement('p');
+    more.textContent = `Showing 50 of ${results.length} entries. Narrow the search to see the rest.`;
+    journalSearchResults.appendChild(more);
+  }
 }
 
+journalSearchInput.addEventListener('input', runJournalSearch);
+searchFilters.forEach(filter => filter.addEventListener('change', runJournalSearch));
+
 function clearJournalForm() {
   journalText.value = '';
   dailyGoal.value = '';
+  goalAchieved.checked = false;
   gratitude.value = '';
-  dreamEntry.value = '';
   selectedMood = null;
   updateMoodButtons();
-  hideDreamAnalysis();
+  // Linked sessions come from the session history and survive clearing the form
+  updateGoalFocus();
+}
+
+function updateGoalFocus() {
+  const goalSessions = currentEntrySessions.filter(session => session.goal);
+  const minutes = Math.round(goalSessions.reduce((sum, session) => sum + session.focusMinutes, 0));
+  const otherCount = currentEntrySessions.length - goalSessions.length;
+  
+  if (currentEntrySessions.length === 0) {
+    goalFocus.textContent = 'No focus sessions yet';
+    return;
+  }
+  
+  goalFocus.textContent = `${minutes} min on goal · ${goalSessions.length} session${goalSessions.length === 1 ? '' : 's'}`;
+  if (otherCount > 0) {
+    goalFocus.textContent += ` (+${otherCount} other)`;
+  }
+  goalFocus.title = currentEntrySessions
+    .map(session => `${session.label}: ${Math.round(session.focusMinutes)} min${session.abandoned ? ' (stopped early)' : ''}`)
+    .join('\n');
 }
 
 function updateMoodButtons() {
@@ -632,27 +1784,24 @@ nextDayBtn.addEventListener('click', () => {
 });
 
 saveJournalBtn.addEventListener('click', () => {
-  const dateKey = formatDateKey(currentJournalDate);
+  const dateKey = LifeClock.formatDate(currentJournalDate);
   const entry = {
     date: dateKey,
     text: journalText.value.trim(),
     goal: dailyGoal.value.trim(),
+    goalAchieved: goalAchieved.checked,
     gratitude: gratitude.value.trim(),
-    dream: dreamEntry.value.trim(),
     mood: selectedMood,
     timestamp: Date.now()
   };
   
-  // Include dream analysis if it exists
-  if (dreamAnalysis && !dreamAnalysis.classList.contains('hidden')) {
-    entry.dreamAnalysis = getCurrentDreamAnalysis();
-  }
-  
   chrome.storage.local.get(['journalEntries'], (data) => {
     const entries = data.journalEntries || {};
     entries[dateKey] = entry;
     
     chrome.storage.local.set({ journalEntries: entries }, () => {
+      showJournalCalendar(entries);
+      
       // Show success feedback
       const originalText = saveJournalBtn.textContent;
       saveJournalBtn.textContent = 'Saved!';
@@ -666,12 +1815,239 @@ saveJournalBtn.addEventListener('click', () => {
   });
 });
 
+document.getElementById('focusOnGoalBtn').addEventListener('click', () => {
+  const goal = dailyGoal.value.trim();
+  if (!goal) {
+    alert('Write a goal first.');
+    return;
+  }
+  if (currentJournalDate.toDateString() !== new Date().toDateString()) {
+    alert('Sessions can only be started for today\'s goal.');
+    return;
+  }
+  
+  // Save the goal so the background can attach the session to today's entry
+  chrome.storage.local.get(['journalEntries'], (data) => {
+    const entries = data.journalEntries || {};
+    const dateKey = LifeClock.formatDate(currentJournalDate);
+    entries[dateKey] = { ...(entries[dateKey] || { date: dateKey }), goal, timestamp: Date.now() };
+    
+    chrome.storage.local.set({ journalEntries: entries }, () => {
+      forDailyGoal.checked = true;
+      sessionTask.value = goal;
+      sessionTask.disabled = true;
+      toolSelector.value = 'timer';
+      switchView('timer');
+    });
+  });
+});
+
 clearJournalBtn.addEventListener('click', () => {
   if (confirm('Are you sure you want to clear this entry?')) {
     clearJournalForm();
   }
 });
 
+// Dream log functionality
+function loadDreamNight() {
+  const night = LifeClock.formatDate(currentDreamNight);
+  const isToday = currentDreamNight.toDateString() === new Date().toDateString();
+  
+  dreamNightTitle.textContent = isToday ? 'Last Night' : `Night before ${currentDreamNight.toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  })}`;
+  nextNightBtn.disabled = isToday;
+  nextNightBtn.style.opacity = isToday ? '0.5' : '1';
+  
+  dreamStore.getLog().then((log) => {
+    allDreams = log.dreams;
+    const times = log.nights[night] || {};
+    bedtimeInput.value = times.bedtime || '';
+    wakeTimeInput.value = times.wakeTime || '';
+    updateSleepDuration();
+    renderDreamList(nightDreams, DreamStore.byNight(log.dreams)[night] || [], 'No dreams logged for this night.');
+    renderDreamArchive();
+  });
+}
+
+function updateSleepDuration() {
+  if (!bedtimeInput.value || !wakeTimeInput.value) {
+    sleepDuration.textContent = '';
+    return;
+  }
+  
+  const toMinutes = value => value.split(':').reduce((hours, minutes) => hours * 60 + Number(minutes));
+  // Going to bed before midnight is the usual case, so wrap around the day
+  const minutes = (toMinutes(wakeTimeInput.value) - toMinutes(bedtimeInput.value) + 1440) % 1440;
+  sleepDuration.textContent = `${Math.floor(minutes / 60)}h ${minutes % 60}m asleep`;
+}
+
+function dreamLabel(dream) {
+  if (dream.title) return dream.title;
+  return dream.text.length > 40 ? `${dream.text.slice(0, 40)}…` : dream.text;
+}
+
+// One row per dream; clicking a row opens it in the dream log
+function renderDreamList(container, dreams, emptyText, showNight = false) {
+  container.innerHTML = '';
+  if (dreams.length === 0) {
+    container.innerHTML = `<p class="stats-empty">${emptyText}</p>`;
+    return;
+  }
+  
+  dreams.forEach(dream => {
+    const row = document.createElement('button');
+    row.className = 'dream-row';
+    
+    const title = document.createElement('div');
+    title.className = 'dream-row-title';
+    title.textContent = dreamLabel(dream);
+    
+    const recurrences = DreamStore.recurrences(allDreams, dream.id).length;
+    const details = document.createElement('div');
+    details.className = 'dream-row-details';
+    details.textContent = [
+      showNight ? LifeClock.parseDate(dream.night).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : '',
+      dream.lucid ? 'Lucid' : '',
+      dream.vividness ? '★'.repeat(dream.vividness) : '',
+      recurrences > 1 ? `🔁 ${recurrences} times` : '',
+      dream.analysis ? '✨ Analyzed' : '',
+      ...dream.tags.map(tag => `#${tag}`)
+    ].filter(Boolean).join(' · ');
+    
+    row.append(title, details);
+    row.addEventListener('click', () => openDream(dream));
+    container.appendChild(row);
+  });
+}
+
+function renderDreamArchive() {
+  const tags = [...new Set(allDreams.flatMap(dream => dream.tags))].sort();
+  const selected = dreamTagFilter.value;
+  
+  dreamTagFilter.innerHTML = '<option value="">Every tag</option>';
+  tags.forEach(tag => {
+    const option = document.createElement('option');
+    option.value = tag;
+    option.textContent = `#${tag}`;
+    dreamTagFilter.appendChild(option);
+  });
+  dreamTagFilter.value = tags.includes(selected) ? selected : '';
+  
+  const dreams = allDreams
+    .filter(dream => !dreamTagFilter.value || dream.tags.includes(dreamTagFilter.value))
+    .sort((a, b) => b.night.localeCompare(a.night) || (b.createdAt || 0) - (a.createdAt || 0));
+  renderDreamList(dreamArchive, dreams, 'No dreams logged yet.', true);
+}
+
+function openDream(dream) {
+  currentDreamNight = LifeClock.parseDate(dream.night);
+  if (dreamsView.classList.contains('active')) {
+    loadDreamNight();
+  } else {
+    toolSelector.value = 'dreams';
+    switchView('dreams');
+  }
+  showDreamEditor(dream);
+}
+
+function showDreamEditor(dream = null) {
+  editingDreamId = dream ? dream.id : null;
+  dreamTitle.value = dream ? dream.title : '';
+  dreamEntry.value = dream ? dream.text : '';
+  dreamLucid.checked = Boolean(dream && dream.lucid);
+  dreamVividness.value = dream && dream.vividness ? String(dream.vividness) : '';
+  dreamTags.value = dream ? dream.tags.join(', ') : '';
+  
+  // Any other dream can be the one this recurs, unless it already recurs this one
+  dreamRecurring.innerHTML = '<option value="">Not a recurring dream</option>';
+  allDreams
+    .filter(other => other.id !== editingDreamId && !DreamStore.createsLoop(allDreams, editingDreamId, other.id))
+    .sort((a, b) => b.night.localeCompare(a.night))
+    .forEach(other => {
+      const option = document.createElement('option');
+      option.value = other.id;
+      option.textContent = `🔁 ${other.night} · ${dreamLabel(other)}`;
+      dreamRecurring.appendChild(option);
+    });
+  dreamRecurring.value = (dream && dream.recurringOf) || '';
+  
+  if (dream && dream.analysis) {
+    displayDreamAnalysis(dream.analysis);
+  } else {
+    hideDreamAnalysis();
+  }
+  
+  deleteDreamBtn.classList.toggle('hidden', !dream);
+  dreamEditor.classList.remove('hidden');
+  dreamTitle.focus();
+}
+
+function closeDreamEditor() {
+  editingDreamId = null;
+  dreamEditor.classList.add('hidden');
+  hideDreamAnalysis();
+}
+
+// Dream log event listeners
+prevNightBtn.addEventListener('click', () => {
+  closeDreamEditor();
+  currentDreamNight.setDate(currentDreamNight.getDate() - 1);
+  loadDreamNight();
+});
+
+nextNightBtn.addEventListener('click', () => {
+  if (currentDreamNight.toDateString() !== new Date().toDateString()) {
+    closeDreamEditor();
+    currentDreamNight.setDate(currentDreamNight.getDate() + 1);
+    loadDreamNight();
+  }
+});
+
+[bedtimeInput, wakeTimeInput].forEach(input => input.addEventListener('change', () => {
+  updateSleepDuration();
+  dreamStore.saveNight(LifeClock.formatDate(currentDreamNight), {
+    bedtime: bedtimeInput.value,
+    wakeTime: wakeTimeInput.value
+  });
+}));
+
+document.getElementById('newDreamBtn').addEventListener('click', () => showDreamEditor());
+document.getElementById('cancelDreamBtn').addEventListener('click', closeDreamEditor);
+dreamTagFilter.addEventListener('change', renderDreamArchive);
+
+document.getElementById('saveDreamBtn').addEventListener('click', async () => {
+  try {
+    await dreamStore.save({
+      id: editingDreamId,
+      night: LifeClock.formatDate(currentDreamNight),
+      title: dreamTitle.value,
+      text: dreamEntry.value,
+      lucid: dreamLucid.checked,
+      vividness: dreamVividness.value,
+      recurringOf: dreamRecurring.value,
+      tags: dreamTags.value,
+      analysis: getCurrentDreamAnalysis()
+    });
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  
+  closeDreamEditor();
+  loadDreamNight();
+});
+
+deleteDreamBtn.addEventListener('click', async () => {
+  if (!confirm('Delete this dream? Dreams linked to it as recurrences are kept.')) return;
+  
+  await dreamStore.remove(editingDreamId);
+  closeDreamEditor();
+  loadDreamNight();
+});
+
 // Dream Analysis Functions
 analyzeDreamBtn.addEventListener('click', async () => {
   const dreamText = dreamEntry.value.trim();
@@ -706,9 +2082,17 @@ analyzeDreamBtn.addEventListener('click', async () => {
   }
 });
 
+// An analysis describes the text it was made from, so editing the dream drops it
+dreamEntry.addEventListener('input', () => {
+  if (currentDreamAnalysis) {
+    hideDreamAnalysis();
+  }
+});
+
 // API Integration
 async function analyzeDreamWithAPI(dreamText) {
-  const API_BASE_URL = 'https://topboompop-life-app-20-8o500djz1-toboompops-projects.vercel.app'; // Your deployed Vercel URL
+  // Deployed API URL, configurable in Settings
+  const API_BASE_URL = (await settingsStore.load()).api.baseUrl;
   
   const response = await fetch(`${API_BASE_URL}/api/analyzeDream`, {
     method: 'POST',
@@ -730,14 +2114,20 @@ async function analyzeDreamWithAPI(dreamText) {
 
   const data = await response.json();
   
-  if (!data.success) {
+  if (!data.success || !data.data) {
     throw new Error(data.error || 'API returned unsuccessful response');
   }
 
   return {
-    success: true,
-    data: data.data,
-    requestId: data.requestId
+    emotions: data.data.emotions,
+    themes: data.data.themes,
+    symbols: data.data.symbols,
+    interpretation: data.data.interpretation,
+    confidence: data.data.confidence,
+    source: 'api',
+    requestId: data.requestId || null,
+    model: data.data.model || null,
+    timestamp: data.data.timestamp || Date.now()
   };
 }
 
@@ -785,8 +2175,13 @@ async function analyzeDreamLocally(dreamText) {
   return {
     emotions: emotions.length > 0 ? emotions : ['neutral'],
     themes: themes.length > 0 ? themes : ['general'],
-    interpretation: generateInterpretation(emotions, themes),
     symbols: extractSymbols(dreamText),
+    interpretation: generateInterpretation(emotions, themes),
+    // Keyword matching has no meaningful confidence
+    confidence: null,
+    source: 'local',
+    requestId: null,
+    model: null,
     timestamp: Date.now()
   };
 }
@@ -834,58 +2229,78 @@ function showDreamLoading() {
   analyzeDreamBtn.textContent = 'Analyzing...';
 }
 
+// Render an analysis and keep it as the one to save with the entry.
+// Built with textContent because the API returns model-written text
 function displayDreamAnalysis(analysis) {
+  currentDreamAnalysis = analysis;
   dreamAnalysis.classList.remove('hidden');
+  dreamResults.innerHTML = '';
+  
+  const addSection = (title, content) => {
+    const section = document.createElement('div');
+    section.className = 'analysis-section';
+    const heading = document.createElement('div');
+    heading.className = 'section-title';
+    heading.textContent = title;
+    const body = document.createElement('div');
+    body.className = 'section-content';
+    body.textContent = content;
+    section.append(heading, body);
+    dreamResults.appendChild(section);
+  };
+  
+  if (analysis.needsReanalysis) {
+    const notice = document.createElement('div');
+    notice.className = 'analysis-notice';
+    notice.textContent = 'Saved by an older version without its details. Analyze the dream again to restore them.';
+    dreamResults.appendChild(notice);
+  }
+  
+  // Imported or partial analyses can miss a list
+  const emotions = analysis.emotions || [];
+  const themes = analysis.themes || [];
+  const symbols = analysis.symbols || [];
+  if (emotions.length > 0) addSection('Emotions', emotions.join(', '));
+  if (themes.length > 0) addSection('Themes', themes.join(', '));
+  addSection('Interpretation', analysis.interpretation || '');
+  if (symbols.length > 0) addSection('Key Symbols', symbols.join(', '));
+  
+  const sources = { api: 'AI analysis', local: 'Offline analysis', recovered: 'Recovered from an older version', legacy: 'Older version' };
+  const details = [sources[analysis.source] || analysis.source];
+  if (analysis.model) details.push(analysis.model);
+  if (typeof analysis.confidence === 'number') details.push(`${Math.round(analysis.confidence * 100)}% confidence`);
+  const meta = document.createElement('div');
+  meta.className = 'analysis-meta';
+  meta.textContent = details.join(' · ');
+  dreamResults.appendChild(meta);
   
-  const html = `
-    <div class="analysis-section">
-      <div class="section-title">Emotions</div>
-      <div class="section-content">${analysis.emotions.join(', ')}</div>
-    </div>
-    <div class="analysis-section">
-      <div class="section-title">Themes</div>
-      <div class="section-content">${analysis.themes.join(', ')}</div>
-    </div>
-    <div class="analysis-section">
-      <div class="section-title">Interpretation</div>
-      <div class="section-content">${analysis.interpretation}</div>
-    </div>
-    ${analysis.symbols && analysis.symbols.length > 0 ? `
-    <div class="analysis-section">
-      <div class="section-title">Key Symbols</div>
-      <div class="section-content">${analysis.symbols.join(', ')}</div>
-    </div>
-    ` : ''}
-  `;
-  
-  dreamResults.innerHTML = html;
   analyzeDreamBtn.disabled = false;
-  analyzeDreamBtn.textContent = 'Analyze Dream';
+  analyzeDreamBtn.textContent = analysis.needsReanalysis ? 'Analyze Again' : 'Analyze Dream';
 }
 
+// A failed analysis keeps the one shown before, so saving doesn't lose it
 function showDreamError(message) {
-  dreamAnalysis.classList.remove('hidden');
-  dreamResults.innerHTML = `<div class="error">${message}</div>`;
-  analyzeDreamBtn.disabled = false;
-  analyzeDreamBtn.textContent = 'Analyze Dream';
+  if (currentDreamAnalysis) {
+    displayDreamAnalysis(currentDreamAnalysis);
+  } else {
+    dreamAnalysis.classList.remove('hidden');
+    dreamResults.innerHTML = '';
+    analyzeDreamBtn.disabled = false;
+    analyzeDreamBtn.textContent = 'Analyze Dream';
+  }
+  
+  const error = document.createElement('div');
+  error.className = 'error';
+  error.textContent = message;
+  dreamResults.prepend(error);
 }
 
 function hideDreamAnalysis() {
+  currentDreamAnalysis = null;
   dreamAnalysis.classList.add('hidden');
+  analyzeDreamBtn.textContent = 'Analyze Dream';
 }
 
 function getCurrentDreamAnalysis() {
-  // Extract analysis data from the displayed results
-  if (dreamAnalysis.classList.contains('hidden')) {
-    return null;
-  }
-  
-  // This would need to be more sophisticated in a real implementation
-  // For now, we'll store a simple representation
-  return {
-    emotions: [],
-    themes: [],
-    interpretation: dreamResults.textContent,
-    timestamp: Date.now()
-  };
+  return dreamAnalysis.classList.contains('hidden') ? null : currentDreamAnalysis;
 }
\ No newline at end of file
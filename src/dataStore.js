@@ -0,0 +1,425 @@
+/**
+ * Versioned storage for journal entries, dreams and the running timer
+ * chrome.storage.local carries a schema version. When the extension is
+ * updated, the background worker runs the pending migrations in order, keeping
+ * a snapshot of the previous data so a failing or interrupted migration can
+ * be rolled back
+ * Depends on LifeClock (src/lifeClock.js) being loaded first
+ */
+
+class DataStore {
+  constructor() {
+    this.versionKey = 'dataVersion';
+    this.backupKey = 'dataBackup';
+    // Keys the migrations may rewrite, and therefore the ones backed up
+    this.dataKeys = ['journalEntries', 'currentTimer', 'isPaused', 'dreamLog', 'sessionHistory'];
+  }
+
+  /**
+   * Current schema version
+   * @returns {number} Version
+   */
+  static get version() {
+    return 5;
+  }
+
+  /**
+   * Ordered migrations; each one upgrades the data from the previous version.
+   * A migration gets the stored values of dataKeys and returns the new ones
+   * (a key set to undefined is removed)
+   * @returns {Array<{version: number, migrate: Function}>} Migrations
+   */
+  static get migrations() {
+    return [
+      {
+        version: 1,
+        migrate: (data) => {
+          const journalEntries = {};
+          Object.entries(data.journalEntries || {}).forEach(([dateKey, entry]) => {
+            journalEntries[dateKey] = DataStore.normalizeEntry(dateKey, entry);
+          });
+
+          // State written by the old interval-based timer can't be resumed
+          const currentTimer = DataStore.isTimerSession(data.currentTimer)
+            ? { pauses: [], focusIntervals: [], segmentsCompleted: 0, idle: null, idleIntervals: [], ...data.currentTimer }
+            : undefined;
+
+          return { ...data, journalEntries, currentTimer, isPaused: undefined };
+        }
+      },
+      {
+        // Dream analyses used to be saved as the text scraped from the page
+        version: 2,
+        migrate: (data) => {
+          const journalEntries = {};
+          Object.entries(data.journalEntries || {}).forEach(([dateKey, entry]) => {
+            journalEntries[dateKey] = entry.dreamAnalysis
+              ? { ...entry, dreamAnalysis: DataStore.normalizeDreamAnalysis(entry.dreamAnalysis) }
+              : entry;
+          });
+          return { ...data, journalEntries };
+        }
+      },
+      {
+        // Dreams move out of the journal entry into their own log
+        version: 3,
+        migrate: (data) => {
+          const { journalEntries, dreams } = DataStore.splitDreams(data.journalEntries || {});
+          const log = data.dreamLog || {};
+          return {
+            ...data,
+            journalEntries,
+            dreamLog: { nights: log.nights || {}, dreams: [...(log.dreams || []), ...dreams] }
+          };
+        }
+      },
+      {
+        // Dates used to be keyed by their UTC day; they move to the local day
+        // they were written on, like the calendar shows them
+        version: 4,
+        migrate: (data) => DataStore.localDates(data)
+      },
+      {
+        // Sessions linked to an entry are read from sessionHistory instead of
+        // being copied into the entry, so only the popup writes journalEntries
+        version: 5,
+        migrate: (data) => ({ ...data, journalEntries: DataStore.withoutSessions(data.journalEntries || {}) })
+      }
+    ];
+  }
+
+  /**
+   * Bring a journal entry to the current shape without dropping any of its fields
+   * @param {string} dateKey - Date the entry is stored under (YYYY-MM-DD)
+   * @param {Object|string} entry - Stored entry; early versions saved plain text
+   * @returns {Object} Entry
+   */
+  static normalizeEntry(dateKey, entry) {
+    const fields = typeof entry === 'string' ? { text: entry } : { ...entry };
+    return {
+      text: '',
+      goal: '',
+      gratitude: '',
+      mood: null,
+      timestamp: LifeClock.parseDate(dateKey).getTime(),
+      ...fields,
+      date: dateKey
+    };
+  }
+
+  /**
+   * Bring a saved dream analysis to the current shape. Analyses saved before
+   * version 2 only kept the page text; their lists are recovered from it when
+   * possible, otherwise they are flagged for re-analysis
+   * @param {Object} analysis - Stored analysis
+   * @returns {Object} Analysis with emotions, themes, symbols, interpretation,
+   *   confidence, source ('api', 'local', 'recovered' or 'legacy'), requestId, model and timestamp
+   */
+  static normalizeDreamAnalysis(analysis) {
+    if (analysis.source) return analysis;
+
+    const base = { confidence: null, requestId: null, model: null, timestamp: analysis.timestamp || null };
+    const text = String(analysis.interpretation || '').replace(/\s+/g, ' ').trim();
+    const list = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+    // The page showed "Emotions … Themes … Interpretation … [Key Symbols …]"
+    const match = /^Emotions (.*?) Themes (.*?) Interpretation (.*?)(?: Key Symbols (.*))?$/.exec(text);
+    if (match) {
+      return { ...base, emotions: list(match[1]), themes: list(match[2]), symbols: list(match[4]), interpretation: match[3], source: 'recovered' };
+    }
+
+    return {
+      ...base,
+      emotions: analysis.emotions || [],
+      themes: analysis.themes || [],
+      symbols: analysis.symbols || [],
+      interpretation: text,
+      source: 'legacy',
+      needsReanalysis: true
+    };
+  }
+
+  /**
+   * Take the dream journal entries used to hold (one `dream` text and its
+   * analysis per day) out of the entries, as dream log records. The IDs come
+   * from the night and the text, so splitting the same entries again (e.g.
+   * importing an old backup twice) gives the same dreams
+   * @param {Object} entries - Journal entries keyed by date
+   * @returns {{journalEntries: Object, dreams: Array<Object>}} Entries without dreams, and the dreams
+   */
+  static splitDreams(entries) {
+    const journalEntries = {};
+    const dreams = [];
+
+    Object.entries(entries).forEach(([dateKey, entry]) => {
+      const { dream, dreamAnalysis, ...rest } = entry;
+      journalEntries[dateKey] = rest;
+
+      if ((dream && dream.trim()) || dreamAnalysis) {
+        const text = (dream || '').trim();
+        const createdAt = entry.timestamp || LifeClock.parseDate(dateKey).getTime();
+        dreams.push({
+          id: `dream_${dateKey}_${DataStore._hash(text)}`,
+          night: dateKey,
+          title: '',
+          text,
+          lucid: false,
+          vividness: null,
+          recurringOf: null,
+          tags: [],
+          analysis: dreamAnalysis ? DataStore.normalizeDreamAnalysis(dreamAnalysis) : null,
+          createdAt,
+          updatedAt: createdAt
+        });
+      }
+    });
+
+    return { journalEntries, dreams };
+  }
+
+  /**
+   * Move entries, dreams and session tasks keyed by the UTC day to the local
+   * day they were written on. Entries landing on the same day are merged
+   * @param {Object} data - journalEntries, dreamLog and sessionHistory
+   * @returns {Object} Data with local date keys
+   */
+  static localDates(data) {
+    const journalEntries = {};
+    Object.entries(data.journalEntries || {}).forEach(([dateKey, entry]) => {
+      const localKey = DataStore.localDateKey(dateKey, entry.timestamp);
+      const moved = { ...entry, date: localKey };
+      journalEntries[localKey] = journalEntries[localKey]
+        ? DataStore._mergeEntries(journalEntries[localKey], moved)
+        : moved;
+    });
+
+    const result = { ...data, journalEntries };
+    if (data.dreamLog) {
+      result.dreamLog = DataStore._localDreamLog(data.dreamLog);
+    }
+    if (data.sessionHistory) {
+      result.sessionHistory = data.sessionHistory.map(session => {
+        if (!session.task || !session.task.date) return session;
+        return { ...session, task: { ...session.task, date: DataStore.localDateKey(session.task.date, session.startTime) } };
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Local date a record was written on, for a date key taken from the UTC day.
+   * The key is kept when the timestamp is on another UTC day, since the record
+   * was then saved for a day picked in the journal rather than for today
+   * @param {string} dateKey - Stored date key (YYYY-MM-DD)
+   * @param {number} timestamp - When the record was written
+   * @returns {string} Local date key
+   */
+  static localDateKey(dateKey, timestamp) {
+    if (typeof timestamp !== 'number') return dateKey;
+    const date = new Date(timestamp);
+    return date.toISOString().split('T')[0] === dateKey ? LifeClock.formatDate(date) : dateKey;
+  }
+
+  // Two entries that land on the same day: differing text is kept from both,
+  // the rest comes from the newer one
+  static _mergeEntries(entry, other) {
+    const [older, newer] = (entry.timestamp || 0) <= (other.timestamp || 0) ? [entry, other] : [other, entry];
+    const merged = { ...older, ...newer };
+    ['text', 'goal', 'gratitude'].forEach(field => {
+      const parts = [older[field], newer[field]].filter(value => typeof value === 'string' && value.trim());
+      if (parts.length === 2 && parts[0] !== parts[1]) {
+        merged[field] = parts.join('\n\n');
+      } else if (parts.length > 0) {
+        merged[field] = parts[parts.length - 1];
+      }
+    });
+    return merged;
+  }
+
+  // Dreams move to the local night they were written on. A night's sleep
+  // times follow when all of its dreams moved to the same free night
+  static _localDreamLog(log) {
+    const dreams = (log.dreams || []).map(dream => ({ ...dream, night: DataStore.localDateKey(dream.night, dream.createdAt) }));
+
+    const moves = {};
+    (log.dreams || []).forEach((dream, index) => {
+      (moves[dream.night] = moves[dream.night] || new Set()).add(dreams[index].night);
+    });
+
+    const nights = { ...(log.nights || {}) };
+    Object.entries(moves).forEach(([night, targets]) => {
+      const [target] = targets;
+      if (targets.size === 1 && target !== night && log.nights && log.nights[night] && !nights[target]) {
+        nights[target] = nights[night];
+        delete nights[night];
+      }
+    });
+
+    return { ...log, nights, dreams };
+  }
+
+  /**
+   * Drop the session lists older versions stored in each entry
+   * @param {Object} entries - Journal entries keyed by date
+   * @returns {Object} Entries without sessions
+   */
+  static withoutSessions(entries) {
+    const journalEntries = {};
+    Object.entries(entries).forEach(([dateKey, entry]) => {
+      const { sessions, ...rest } = entry;
+      journalEntries[dateKey] = rest;
+    });
+    return journalEntries;
+  }
+
+  /**
+   * Sessions started for the day's goal or a task, grouped by the journal day
+   * they were started from
+   * @param {Array<Object>} history - Session history records
+   * @returns {Object} Sessions keyed by date, each with id, label, goal,
+   *   focusMinutes, startTime, endTime and abandoned
+   */
+  static linkedSessions(history) {
+    const byDate = {};
+    history.forEach(session => {
+      if (!session.task || !session.task.date) return;
+      (byDate[session.task.date] = byDate[session.task.date] || []).push({
+        id: session.id,
+        label: session.task.label,
+        goal: session.task.goal,
+        focusMinutes: session.actualFocusMinutes,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        abandoned: session.abandoned
+      });
+    });
+    return byDate;
+  }
+
+  /**
+   * Whether a stored value is a timer session the engine can run
+   * @param {Object} session - Value of currentTimer
+   * @returns {boolean} True for a valid session
+   */
+  static isTimerSession(session) {
+    return Boolean(session) &&
+      Array.isArray(session.phases) && session.phases.length > 0 &&
+      Number.isInteger(session.phaseIndex) &&
+      session.phaseIndex >= 0 && session.phaseIndex <= session.phases.length &&
+      typeof session.startTime === 'number' &&
+      typeof session.phaseStartedAt === 'number';
+  }
+
+  /**
+   * Run the migrations the stored data hasn't had yet. The data is backed up
+   * first and restored if a migration throws, leaving the old version in place.
+   * A backup still marked in progress means the worker was stopped halfway
+   * through a migration, so that data is restored before starting again
+   * @returns {Promise<{from: number, to: number}>} Versions before and after
+   */
+  async migrate() {
+    const keys = [this.versionKey, this.backupKey, ...this.dataKeys];
+    let stored = await chrome.storage.local.get(keys);
+    if (stored[this.backupKey] && stored[this.backupKey].inProgress) {
+      await this.restoreBackup();
+      stored = await chrome.storage.local.get(keys);
+    }
+
+    const from = stored[this.versionKey] || 0;
+    const pending = DataStore.migrations.filter(migration => migration.version > from);
+    if (pending.length === 0) return { from, to: from };
+
+    let snapshot = this._snapshot(stored);
+    let backup = { version: from, takenAt: Date.now(), data: snapshot, inProgress: true };
+    await chrome.storage.local.set({ [this.backupKey]: backup });
+
+    try {
+      // The popup can save while this runs. Migrate again from what it saved
+      // until the data read last is still what's stored, so its save isn't lost
+      let migrated;
+      for (let attempt = 1; ; attempt++) {
+        migrated = pending.reduce((data, migration) => migration.migrate(data), snapshot);
+        const latest = this._snapshot(await chrome.storage.local.get(this.dataKeys));
+        if (JSON.stringify(latest) === JSON.stringify(snapshot)) break;
+        snapshot = latest;
+        if (attempt === 5) {
+          throw new Error('the data kept changing while it was migrated');
+        }
+        backup = { ...backup, data: snapshot };
+        await chrome.storage.local.set({ [this.backupKey]: backup });
+      }
+
+      await this._write(migrated);
+      await chrome.storage.local.set({
+        [this.versionKey]: pending[pending.length - 1].version,
+        [this.backupKey]: { ...backup, inProgress: false }
+      });
+    } catch (error) {
+      await this._write(snapshot);
+      await chrome.storage.local.set({ [this.backupKey]: { ...backup, inProgress: false } });
+      throw new Error(`Data migration from version ${from} failed and was rolled back: ${error.message}`);
+    }
+
+    return { from, to: DataStore.version };
+  }
+
+  /**
+   * Put back the data as it was before the last migration
+   * @returns {Promise<boolean>} False when there is no backup
+   */
+  async restoreBackup() {
+    const data = await chrome.storage.local.get([this.backupKey]);
+    const backup = data[this.backupKey];
+    if (!backup) return false;
+
+    await this._write(backup.data);
+    await chrome.storage.local.set({
+      [this.versionKey]: backup.version,
+      [this.backupKey]: { ...backup, inProgress: false }
+    });
+    return true;
+  }
+
+  // The stored data keys, leaving out missing ones
+  _snapshot(stored) {
+    const snapshot = {};
+    this.dataKeys.forEach(key => {
+      if (stored[key] !== undefined) snapshot[key] = stored[key];
+    });
+    return snapshot;
+  }
+
+  // FNV-1a string hash, base 36
+  static _hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+  }
+
+  // Store every data key, removing those missing from data
+  async _write(data) {
+    const values = {};
+    const missing = [];
+    this.dataKeys.forEach(key => {
+      if (data[key] === undefined) {
+        missing.push(key);
+      } else {
+        values[key] = data[key];
+      }
+    });
+
+    await chrome.storage.local.set(values);
+    if (missing.length > 0) {
+      await chrome.storage.local.remove(missing);
+    }
+  }
+}
+
+// Export for use in the popup and the background service worker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataStore;
+} else if (typeof self !== 'undefined') {
+  self.DataStore = DataStore;
+}
@@ -0,0 +1,206 @@
+/**
+ * Dream log
+ * Each night (keyed by the date you woke up) holds sleep times and any number
+ * of dreams, each with its own title, lucidity, vividness, tags, link to the
+ * dream it recurs and analysis. Persisted in chrome.storage
+ */
+
+class DreamStore {
+  constructor() {
+    this.storageKey = 'dreamLog';
+  }
+
+  /**
+   * Load the whole log
+   * @returns {Promise<{nights: Object, dreams: Array<Object>}>} Sleep times keyed by night, and every dream
+   */
+  async getLog() {
+    const data = await chrome.storage.local.get([this.storageKey]);
+    const log = data[this.storageKey] || {};
+    return { nights: log.nights || {}, dreams: log.dreams || [] };
+  }
+
+  /**
+   * Create or update a dream
+   * @param {Object} dream - Dream; an existing id updates in place
+   * @returns {Promise<Object>} Saved dream
+   */
+  async save(dream) {
+    const clean = DreamStore.validate(dream);
+    const log = await this.getLog();
+    const index = log.dreams.findIndex(item => item.id === dream.id);
+
+    if (clean.recurringOf && !log.dreams.some(item => item.id === clean.recurringOf)) {
+      throw new Error('The recurring dream it links to no longer exists');
+    }
+    if (DreamStore.createsLoop(log.dreams, dream.id, clean.recurringOf)) {
+      throw new Error('A dream cannot recur one of its own recurrences');
+    }
+
+    let saved;
+    if (index >= 0) {
+      saved = { ...log.dreams[index], ...clean, updatedAt: Date.now() };
+      log.dreams[index] = saved;
+    } else {
+      saved = { ...clean, id: DreamStore.createId(), createdAt: Date.now(), updatedAt: Date.now() };
+      log.dreams.push(saved);
+    }
+
+    await this._write(log);
+    return saved;
+  }
+
+  /**
+   * Delete a dream; dreams marked as recurrences of it keep their place but lose the link
+   * @param {string} id - Dream ID
+   */
+  async remove(id) {
+    const log = await this.getLog();
+    log.dreams = log.dreams
+      .filter(dream => dream.id !== id)
+      .map(dream => (dream.recurringOf === id ? { ...dream, recurringOf: null } : dream));
+    await this._write(log);
+  }
+
+  /**
+   * Save a night's sleep times
+   * @param {string} night - Date key (YYYY-MM-DD)
+   * @param {{bedtime: string|null, wakeTime: string|null}} times - Times as HH:MM
+   */
+  async saveNight(night, times) {
+    const time = value => (/^\d{2}:\d{2}$/.test(value || '') ? value : null);
+    const log = await this.getLog();
+    log.nights[night] = { bedtime: time(times.bedtime), wakeTime: time(times.wakeTime) };
+    await this._write(log);
+  }
+
+  /**
+   * Replace the whole log, e.g. after an import
+   * @param {{nights: Object, dreams: Array<Object>}} log - Log to store
+   */
+  async replace(log) {
+    await this._write({ nights: log.nights || {}, dreams: log.dreams || [] });
+  }
+
+  /**
+   * Validate a dream and strip unknown fields
+   * @param {Object} dream - Dream to validate
+   * @returns {Object} Clean dream without id or timestamps
+   */
+  static validate(dream) {
+    if (!dream || !/^\d{4}-\d{2}-\d{2}$/.test(dream.night || '')) {
+      throw new Error('A dream needs the night it was dreamt');
+    }
+
+    const title = String(dream.title || '').trim();
+    const text = String(dream.text || '').trim();
+    if (!title && !text) {
+      throw new Error('Give the dream a title or describe it');
+    }
+
+    const vividness = dream.vividness === null || dream.vividness === undefined || dream.vividness === ''
+      ? null
+      : Number(dream.vividness);
+    if (vividness !== null && !(Number.isInteger(vividness) && vividness >= 1 && vividness <= 5)) {
+      throw new Error('Vividness must be from 1 to 5');
+    }
+
+    return {
+      night: dream.night,
+      title,
+      text,
+      lucid: Boolean(dream.lucid),
+      vividness,
+      recurringOf: dream.recurringOf || null,
+      tags: DreamStore.parseTags(dream.tags),
+      analysis: dream.analysis || null
+    };
+  }
+
+  /**
+   * Normalize tags typed as "flying, Family, flying" or given as a list
+   * @param {string|Array<string>} tags - Tags
+   * @returns {Array<string>} Lowercase tags without duplicates
+   */
+  static parseTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  }
+
+  /**
+   * Group dreams by night, in the order they were logged
+   * @param {Array<Object>} dreams - Dreams
+   * @returns {Object<string, Array<Object>>} Dreams keyed by night
+   */
+  static byNight(dreams) {
+    return [...dreams]
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+      .reduce((nights, dream) => {
+        (nights[dream.night] = nights[dream.night] || []).push(dream);
+        return nights;
+      }, {});
+  }
+
+  /**
+   * The first dream in a recurring chain and every dream in it
+   * @param {Array<Object>} dreams - All dreams
+   * @param {string} id - Any dream in the chain
+   * @returns {Array<Object>} Dreams in the chain, oldest night first
+   */
+  static recurrences(dreams, id) {
+    const byId = Object.fromEntries(dreams.map(dream => [dream.id, dream]));
+    let root = byId[id];
+    const seen = new Set();
+    while (root && root.recurringOf && byId[root.recurringOf] && !seen.has(root.id)) {
+      seen.add(root.id);
+      root = byId[root.recurringOf];
+    }
+    if (!root) return [];
+
+    const chain = [root];
+    for (let i = 0; i < chain.length; i++) {
+      dreams
+        .filter(dream => dream.recurringOf === chain[i].id && !chain.includes(dream))
+        .forEach(dream => chain.push(dream));
+    }
+    return chain.sort((a, b) => a.night.localeCompare(b.night));
+  }
+
+  /**
+   * Whether linking a dream to another would make the recurrences go round in a loop
+   * @param {Array<Object>} dreams - All dreams
+   * @param {string} id - Dream being linked; none for a new dream
+   * @param {string} recurringOf - Dream it would recur
+   * @returns {boolean} True when recurringOf is the dream itself or one of its recurrences
+   */
+  static createsLoop(dreams, id, recurringOf) {
+    if (!id) return false;
+
+    const byId = Object.fromEntries(dreams.map(dream => [dream.id, dream]));
+    const seen = new Set();
+    for (let current = recurringOf; current && !seen.has(current); current = byId[current] && byId[current].recurringOf) {
+      if (current === id) return true;
+      seen.add(current);
+    }
+    return false;
+  }
+
+  /**
+   * New dream ID
+   * @returns {string} ID
+   */
+  static createId() {
+    return `dream_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  async _write(log) {
+    await chrome.storage.local.set({ [this.storageKey]: log });
+  }
+}
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DreamStore;
+} else if (typeof self !== 'undefined') {
+  self.DreamStore = DreamStore;
+}
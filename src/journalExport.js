@@ -0,0 +1,356 @@
+/**
+ * Journal export and import
+ * Builds a full JSON backup (entries, the dream log with its analyses, session
+ * history and settings), a zip of one Markdown file per day and a CSV of
+ * mood, goal and gratitude by date, and validates and merges backups on import
+ * Depends on DataStore (src/dataStore.js) and DreamStore (src/dreamStore.js) being loaded first
+ */
+
+class JournalExport {
+  /**
+   * Backup format version
+   * @returns {number} Version
+   */
+  static get version() {
+    return 3;
+  }
+
+  /**
+   * Full JSON backup
+   * @param {Object} data - journalEntries, dreamLog, sessionHistory and settings
+   * @param {Date} now - Export time
+   * @returns {string} JSON document
+   */
+  static toJSON(data, now = new Date()) {
+    return JSON.stringify({
+      type: 'topboompop-journal-backup',
+      version: JournalExport.version,
+      exportedAt: now.toISOString(),
+      journalEntries: data.journalEntries || {},
+      dreamLog: data.dreamLog || { nights: {}, dreams: [] },
+      sessionHistory: data.sessionHistory || [],
+      settings: data.settings || null
+    }, null, 2);
+  }
+
+  /**
+   * One day's entry and the dreams of the night before as Markdown
+   * @param {string} date - Date key
+   * @param {Object} entry - Journal entry, if there is one
+   * @param {Array<Object>} dreams - Dreams logged for that night
+   * @param {Object} sleep - Bedtime and wake time, if logged
+   * @param {Array<Object>} sessions - Sessions linked to that day (see DataStore.linkedSessions)
+   * @returns {string} Markdown document
+   */
+  static toMarkdown(date, entry = {}, dreams = [], sleep = null, sessions = []) {
+    const lines = [`# ${date}`, ''];
+    if (entry.mood) lines.push(`**Mood:** ${entry.mood}`, '');
+    if (entry.goal) lines.push(`**Goal:** ${entry.goal}${entry.goalAchieved ? ' ✅' : ''}`, '');
+    if (entry.gratitude) lines.push(`**Gratitude:** ${entry.gratitude}`, '');
+    if (entry.text) lines.push('## Journal', '', entry.text, '');
+
+    if (dreams.length > 0) {
+      lines.push('## Dreams', '');
+      if (sleep && (sleep.bedtime || sleep.wakeTime)) {
+        lines.push(`**Slept:** ${sleep.bedtime || '?'} – ${sleep.wakeTime || '?'}`, '');
+      }
+      dreams.forEach((dream, index) => {
+        lines.push(`### ${dream.title || `Dream ${index + 1}`}`, '');
+        const details = [];
+        if (dream.lucid) details.push('lucid');
+        if (dream.vividness) details.push(`vividness ${dream.vividness}/5`);
+        if (dream.recurringOf) details.push('recurring');
+        if (dream.tags && dream.tags.length) details.push(`tags: ${dream.tags.join(', ')}`);
+        if (details.length) lines.push(`_${details.join(' · ')}_`, '');
+        if (dream.text) lines.push(dream.text, '');
+
+        const analysis = dream.analysis;
+        if (analysis) {
+          lines.push('#### Analysis', '');
+          if (analysis.emotions && analysis.emotions.length) lines.push(`**Emotions:** ${analysis.emotions.join(', ')}`, '');
+          if (analysis.themes && analysis.themes.length) lines.push(`**Themes:** ${analysis.themes.join(', ')}`, '');
+          if (analysis.symbols && analysis.symbols.length) lines.push(`**Symbols:** ${analysis.symbols.join(', ')}`, '');
+          if (analysis.interpretation) lines.push(analysis.interpretation, '');
+          if (typeof analysis.confidence === 'number') lines.push(`_Confidence: ${Math.round(analysis.confidence * 100)}%_`, '');
+        }
+      });
+    }
+
+    if (sessions.length > 0) {
+      lines.push('## Focus sessions', '');
+      sessions.forEach(session => {
+        lines.push(`- ${session.label}: ${session.focusMinutes} min${session.abandoned ? ' (stopped early)' : ''}`);
+      });
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Zip of one Markdown file per day with an entry, a dream or a linked session
+   * @param {Object} entries - Journal entries keyed by date
+   * @param {{nights: Object, dreams: Array<Object>}} dreamLog - Dream log
+   * @param {Array<Object>} history - Session history records
+   * @returns {Uint8Array} Zip archive
+   */
+  static toMarkdownBundle(entries, dreamLog = { nights: {}, dreams: [] }, history = []) {
+    const dreams = DreamStore.byNight(dreamLog.dreams);
+    const sessions = DataStore.linkedSessions(history);
+    const dates = [...new Set([...Object.keys(entries), ...Object.keys(dreams), ...Object.keys(sessions)])].sort();
+    const files = dates.map(date => ({
+      name: `journal/${date}.md`,
+      content: JournalExport.toMarkdown(date, entries[date], dreams[date], dreamLog.nights[date], sessions[date])
+    }));
+    return JournalExport.zip(files);
+  }
+
+  /**
+   * CSV of mood, goal and gratitude per date
+   * @param {Object} entries - Journal entries keyed by date
+   * @returns {string} CSV document
+   */
+  static toCSV(entries) {
+    const rows = [['date', 'mood', 'goal', 'goalAchieved', 'gratitude']];
+    Object.keys(entries).sort().forEach(date => {
+      const entry = entries[date];
+      rows.push([date, entry.mood || '', entry.goal || '', entry.goalAchieved ? 'yes' : 'no', entry.gratitude || '']);
+    });
+    return rows.map(row => row.map(JournalExport._csvField).join(',')).join('\r\n');
+  }
+
+  /**
+   * Validate a JSON backup
+   * @param {string} json - Document produced by toJSON
+   * @returns {{journalEntries: Object, dreamLog: Object, sessionHistory: Array<Object>, settings: Object|null}} Backup contents
+   */
+  static parseBackup(json) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Import file is not valid JSON');
+    }
+
+    if (!parsed || parsed.type !== 'topboompop-journal-backup') {
+      throw new Error('Import file is not a journal backup');
+    }
+    if (!(parsed.version <= JournalExport.version)) {
+      throw new Error('Import file was made by a newer version of the extension');
+    }
+
+    const entries = parsed.journalEntries;
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error('Import file contains no journal entries');
+    }
+
+    const normalized = {};
+    Object.entries(entries).forEach(([date, entry]) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !entry || typeof entry !== 'object') {
+        throw new Error(`Entry "${date}" is not a valid journal entry`);
+      }
+      normalized[date] = DataStore.normalizeEntry(date, entry);
+    });
+
+    // Version 1 backups kept one dream inside each entry, and older backups
+    // a copy of the entry's linked sessions
+    const { journalEntries, dreams: entryDreams } = DataStore.splitDreams(DataStore.withoutSessions(normalized));
+    const log = parsed.dreamLog && typeof parsed.dreamLog === 'object' ? parsed.dreamLog : {};
+    const dreams = (Array.isArray(log.dreams) ? log.dreams : []).map((dream, index) => {
+      try {
+        return { ...dream, ...DreamStore.validate(dream), id: dream.id || DreamStore.createId() };
+      } catch (error) {
+        throw new Error(`Dream ${index + 1}: ${error.message}`);
+      }
+    });
+
+    const history = Array.isArray(parsed.sessionHistory) ? parsed.sessionHistory : [];
+    const backup = {
+      journalEntries,
+      dreamLog: { nights: log.nights && typeof log.nights === 'object' ? log.nights : {}, dreams: [...dreams, ...entryDreams] },
+      sessionHistory: history.filter(session => session && session.id),
+      settings: parsed.settings && typeof parsed.settings === 'object' ? parsed.settings : null
+    };
+
+    // Version 2 and earlier backups keyed dates by the UTC day
+    return parsed.version < 3 ? DataStore.localDates(backup) : backup;
+  }
+
+  /**
+   * Dates present in both sets of entries with different content
+   * @param {Object} existing - Stored entries
+   * @param {Object} incoming - Imported entries
+   * @returns {Array<string>} Conflicting dates, oldest first
+   */
+  static findConflicts(existing, incoming) {
+    const canonical = (date, entry) => JournalExport._canonical(DataStore.normalizeEntry(date, entry));
+    return Object.keys(incoming)
+      .filter(date => existing[date] && canonical(date, existing[date]) !== canonical(date, incoming[date]))
+      .sort();
+  }
+
+  /**
+   * Combine imported entries with the stored ones. Dates only in the import are
+   * added either way; on conflicting dates 'merge' keeps the stored entry and
+   * only fills its empty fields, while 'overwrite' takes the imported one
+   * @param {Object} existing - Stored entries
+   * @param {Object} incoming - Imported entries
+   * @param {string} mode - 'merge' or 'overwrite'
+   * @returns {Object} Combined entries
+   */
+  static mergeEntries(existing, incoming, mode = 'merge') {
+    const merged = { ...existing };
+
+    Object.entries(incoming).forEach(([date, entry]) => {
+      const current = existing[date];
+      if (!current || mode === 'overwrite') {
+        merged[date] = entry;
+        return;
+      }
+
+      const combined = { ...current };
+      Object.entries(entry).forEach(([field, value]) => {
+        if (combined[field] === undefined || combined[field] === null || combined[field] === '') {
+          combined[field] = value;
+        }
+      });
+      merged[date] = combined;
+    });
+
+    return merged;
+  }
+
+  /**
+   * Combine an imported dream log with the stored one. New dreams are added
+   * either way; dreams and sleep times already stored are kept on 'merge' and
+   * replaced on 'overwrite'
+   * @param {Object} existing - Stored dream log
+   * @param {Object} incoming - Imported dream log
+   * @param {string} mode - 'merge' or 'overwrite'
+   * @returns {{nights: Object, dreams: Array<Object>}} Combined log
+   */
+  static mergeDreamLog(existing, incoming, mode = 'merge') {
+    const [first, second] = mode === 'overwrite' ? [incoming, existing] : [existing, incoming];
+    return {
+      nights: { ...second.nights, ...first.nights },
+      dreams: JournalExport._unionById(first.dreams, second.dreams)
+    };
+  }
+
+  /**
+   * Add imported sessions to the history, skipping ones already there
+   * @param {Array<Object>} existing - Stored session history
+   * @param {Array<Object>} incoming - Imported session history
+   * @returns {Array<Object>} Combined history, oldest first
+   */
+  static mergeHistory(existing, incoming) {
+    return JournalExport._unionById(existing, incoming).sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Build an uncompressed zip archive
+   * @param {Array<{name: string, content: string}>} files - Files to include
+   * @param {Date} now - Modification time written for every file
+   * @returns {Uint8Array} Zip archive
+   */
+  static zip(files, now = new Date()) {
+    const encoder = new TextEncoder();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const local = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.content);
+      const crc = JournalExport._crc32(data);
+
+      // Flag 0x0800 marks the names as UTF-8; method 0 stores the data as is
+      const header = JournalExport._bytes([
+        [0x04034b50, 4], [20, 2], [0x0800, 2], [0, 2], [time, 2], [date, 2],
+        [crc, 4], [data.length, 4], [data.length, 4], [name.length, 2], [0, 2]
+      ]);
+      local.push(header, name, data);
+
+      central.push(JournalExport._bytes([
+        [0x02014b50, 4], [20, 2], [20, 2], [0x0800, 2], [0, 2], [time, 2], [date, 2],
+        [crc, 4], [data.length, 4], [data.length, 4], [name.length, 2], [0, 2], [0, 2],
+        [0, 2], [0, 2], [0, 4], [offset, 4]
+      ]), name);
+      offset += header.length + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((size, part) => size + part.length, 0);
+    const end = JournalExport._bytes([
+      [0x06054b50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2],
+      [centralSize, 4], [offset, 4], [0, 2]
+    ]);
+
+    const parts = [...local, ...central, end];
+    const archive = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      archive.set(part, position);
+      position += part.length;
+    });
+    return archive;
+  }
+
+  // Quote fields that need it, and keep spreadsheets from running text as formulas
+  static _csvField(value) {
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // JSON with object keys sorted, so entries saved with their fields in another order compare equal
+  static _canonical(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(JournalExport._canonical).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${JournalExport._canonical(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  static _unionById(existing, incoming) {
+    const ids = new Set(existing.map(item => item.id));
+    return [...existing, ...incoming.filter(item => !ids.has(item.id))];
+  }
+
+  // Little-endian fields given as [value, byte length]
+  static _bytes(fields) {
+    const bytes = new Uint8Array(fields.reduce((size, [, length]) => size + length, 0));
+    let position = 0;
+    fields.forEach(([value, length]) => {
+      for (let i = 0; i < length; i++) {
+        bytes[position++] = (value >>> (8 * i)) & 0xff;
+      }
+    });
+    return bytes;
+  }
+
+  static _crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc ^= data[i];
+      for (let bit = 0; bit < 8; bit++) {
+        crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+      }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+// Export for use in the popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JournalExport;
+} else if (typeof self !== 'undefined') {
+  self.JournalExport = JournalExport;
+}
@@ -0,0 +1,142 @@
+/**
+ * Full-text search across the journal
+ * Indexes each day's writing and the dreams logged that night with their
+ * analyses, filters by mood, date range and dreams, and splits matching text
+ * into highlightable parts
+ */
+
+class JournalSearch {
+  /**
+   * Searchable fields of an entry
+   * @returns {Array<{key: string, label: string}>} Fields in display order
+   */
+  static get fields() {
+    return [
+      { key: 'text', label: 'Thoughts' },
+      { key: 'goal', label: 'Goal' },
+      { key: 'gratitude', label: 'Gratitude' },
+      { key: 'dream', label: 'Dreams' },
+      { key: 'tags', label: 'Dream tags' },
+      { key: 'emotions', label: 'Dream emotions' },
+      { key: 'themes', label: 'Dream themes' },
+      { key: 'symbols', label: 'Dream symbols' }
+    ];
+  }
+
+  /**
+   * Build the search index
+   * @param {Object} entries - Journal entries keyed by date
+   * @param {Object<string, Array<Object>>} dreamNights - Dreams keyed by night (DreamStore.byNight)
+   * @returns {Array<Object>} One document per day with date, mood, hasDream and field text
+   */
+  static index(entries, dreamNights = {}) {
+    const dates = [...new Set([...Object.keys(entries), ...Object.keys(dreamNights)])];
+
+    return dates.map(date => {
+      const entry = entries[date] || {};
+      const dreams = dreamNights[date] || [];
+      const analyses = dreams.map(dream => dream.analysis || {});
+      const joined = key => analyses.map(analysis => JournalSearch._list(analysis[key])).filter(Boolean).join(', ');
+      const text = {
+        text: entry.text || '',
+        goal: entry.goal || '',
+        gratitude: entry.gratitude || '',
+        dream: dreams.map(dream => [dream.title, dream.text].filter(Boolean).join(': ')).join(' / '),
+        tags: [...new Set(dreams.flatMap(dream => dream.tags || []))].join(', '),
+        emotions: joined('emotions'),
+        themes: joined('themes'),
+        symbols: joined('symbols')
+      };
+
+      return {
+        date,
+        mood: entry.mood || null,
+        hasDream: dreams.length > 0,
+        text,
+        lower: Object.fromEntries(Object.entries(text).map(([key, value]) => [key, value.toLowerCase()]))
+      };
+    });
+  }
+
+  /**
+   * Find entries matching every search term and filter
+   * @param {Array<Object>} index - Result of index()
+   * @param {Object} options - query, mood, from and to (YYYY-MM-DD) and hasDream
+   * @returns {Array<{date: string, mood: string|null, matches: Array<Object>}>} Matching entries, newest first,
+   *   with the fields (key, label, text) that contain a search term
+   */
+  static search(index, options = {}) {
+    const terms = JournalSearch.terms(options.query);
+
+    return index
+      .filter(doc => !options.mood || doc.mood === options.mood)
+      .filter(doc => (!options.from || doc.date >= options.from) && (!options.to || doc.date <= options.to))
+      .filter(doc => !options.hasDream || doc.hasDream)
+      .filter(doc => terms.every(term => Object.values(doc.lower).some(value => value.includes(term))))
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .map(doc => ({
+        date: doc.date,
+        mood: doc.mood,
+        matches: JournalSearch.fields
+          .filter(field => terms.some(term => doc.lower[field.key].includes(term)))
+          .map(field => ({ ...field, text: doc.text[field.key] }))
+      }));
+  }
+
+  /**
+   * Split a query into lowercase terms
+   * @param {string} query - Search box text
+   * @returns {Array<string>} Terms
+   */
+  static terms(query) {
+    return String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Cut text down to the part around its first match and mark every match
+   * @param {string} text - Field text
+   * @param {Array<string>} terms - Lowercase terms from terms()
+   * @param {number} radius - Characters kept on each side of the first match
+   * @returns {Array<{text: string, match: boolean}>} Parts in order
+   */
+  static highlight(text, terms, radius = 40) {
+    const lower = text.toLowerCase();
+    const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(position => position >= 0));
+    const start = Number.isFinite(first) ? Math.max(0, first - radius) : 0;
+    const end = Math.min(text.length, (Number.isFinite(first) ? first : 0) + radius * 2);
+
+    const parts = [];
+    let position = start;
+    while (position < end) {
+      const next = terms
+        .map(term => ({ term, at: lower.indexOf(term, position) }))
+        .filter(found => found.at >= 0 && found.at < end)
+        .sort((a, b) => a.at - b.at || b.term.length - a.term.length)[0];
+
+      if (!next) {
+        parts.push({ text: text.slice(position, end), match: false });
+        break;
+      }
+      if (next.at > position) {
+        parts.push({ text: text.slice(position, next.at), match: false });
+      }
+      parts.push({ text: text.slice(next.at, next.at + next.term.length), match: true });
+      position = next.at + next.term.length;
+    }
+
+    if (start > 0) parts.unshift({ text: '…', match: false });
+    if (end < text.length) parts.push({ text: '…', match: false });
+    return parts;
+  }
+
+  static _list(values) {
+    return Array.isArray(values) ? values.filter(Boolean).join(', ') : '';
+  }
+}
+
+// Export for use in the popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JournalSearch;
+} else if (typeof self !== 'undefined') {
+  self.JournalSearch = JournalSearch;
+}
@@ -0,0 +1,193 @@
+/**
+ * Calendar arithmetic for the Life Clock
+ * Works in the user's local time zone with real calendar months and years,
+ * so countdowns land on actual dates and stay correct across DST changes
+ */
+
+class LifeClock {
+  /**
+   * Parse a YYYY-MM-DD date as local midnight (new Date() would read it as UTC)
+   * @param {string|Date} value - Date string or Date
+   * @returns {Date} Local date
+   */
+  static parseDate(value) {
+    if (value instanceof Date) return new Date(value.getTime());
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (match) {
+      return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+    return new Date(value);
+  }
+
+  /**
+   * Format a date as a local YYYY-MM-DD key
+   * @param {Date} date - Date
+   * @returns {string} Date key
+   */
+  static formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Add calendar months, clamping to the end of shorter months (Jan 31 + 1 month = Feb 28/29)
+   * @param {Date} date - Start date
+   * @param {number} months - Whole months to add
+   * @returns {Date} Resulting date at the same local wall-clock time
+   */
+  static addMonths(date, months) {
+    const result = new Date(date.getTime());
+    const day = result.getDate();
+
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+    result.setDate(Math.min(day, LifeClock.daysInMonth(result.getFullYear(), result.getMonth())));
+    return result;
+  }
+
+  /**
+   * Add calendar days, keeping the local wall-clock time across DST changes
+   * @param {Date} date - Start date
+   * @param {number} days - Whole days to add
+   * @returns {Date} Resulting date
+   */
+  static addDays(date, days) {
+    const result = new Date(date.getTime());
+    result.setDate(result.getDate() + days);
+    return result;
+  }
+
+  /**
+   * Add a possibly fractional number of years: whole years and months are
+   * calendar steps, the remaining fraction of a month becomes days
+   * @param {Date} date - Start date
+   * @param {number} years - Years to add
+   * @returns {Date} Resulting date
+   */
+  static addYears(date, years) {
+    const totalMonths = years * 12;
+    const wholeMonths = Math.floor(totalMonths);
+    const anchor = LifeClock.addMonths(date, wholeMonths);
+    const monthLength = LifeClock.daysInMonth(anchor.getFullYear(), anchor.getMonth());
+    return LifeClock.addDays(anchor, Math.round((totalMonths - wholeMonths) * monthLength));
+  }
+
+  /**
+   * Number of days in a month
+   * @param {number} year - Full year
+   * @param {number} month - Month index (0-11)
+   * @returns {number} Days in the month
+   */
+  static daysInMonth(year, month) {
+    return new Date(year, month + 1, 0).getDate();
+  }
+
+  /**
+   * Break the span between two instants into calendar units
+   * @param {Date} from - Start
+   * @param {Date} to - End (on or after start)
+   * @returns {{years: number, months: number, days: number, hours: number, minutes: number, seconds: number}} Breakdown
+   */
+  static calendarDiff(from, to) {
+    if (to <= from) {
+      return { years: 0, months: 0, days: 0, hours: 0, minutes: 0, seconds: 0 };
+    }
+
+    // Whole calendar months, always stepped from the original start so day clamping doesn't accumulate
+    let months = (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+    if (LifeClock.addMonths(from, months) > to) months--;
+    const monthAnchor = LifeClock.addMonths(from, months);
+
+    // Whole calendar days; the estimate can be off by one around DST changes
+    let days = Math.floor((to - monthAnchor) / 86400000);
+    while (days > 0 && LifeClock.addDays(monthAnchor, days) > to) days--;
+    while (LifeClock.addDays(monthAnchor, days + 1) <= to) days++;
+    const dayAnchor = LifeClock.addDays(monthAnchor, days);
+
+    // What is left is real elapsed time, so hours reflect a 23- or 25-hour DST day
+    const remainder = to - dayAnchor;
+    return {
+      years: Math.floor(months / 12),
+      months: months % 12,
+      days,
+      hours: Math.floor(remainder / 3600000),
+      minutes: Math.floor((remainder % 3600000) / 60000),
+      seconds: Math.floor((remainder % 60000) / 1000)
+    };
+  }
+
+  /**
+   * Age in fractional years: whole calendar years plus the elapsed share of the current year
+   * @param {Date} from - Start (e.g. birth)
+   * @param {Date} to - End
+   * @returns {number} Years
+   */
+  static yearsBetween(from, to) {
+    if (to <= from) return 0;
+
+    let years = to.getFullYear() - from.getFullYear();
+    if (LifeClock.addMonths(from, years * 12) > to) years--;
+
+    const yearStart = LifeClock.addMonths(from, years * 12);
+    const yearEnd = LifeClock.addMonths(from, (years + 1) * 12);
+    return years + (to - yearStart) / (yearEnd - yearStart);
+  }
+
+  /**
+   * Whole calendar days between two dates, ignoring the time of day
+   * @param {Date} from - Start date
+   * @param {Date} to - End date
+   * @returns {number} Days (negative if `to` is before `from`)
+   */
+  static daysBetween(from, to) {
+    const start = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+    const end = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+    return Math.round((end - start) / 86400000);
+  }
+
+  /**
+   * Position of a date in the life-in-weeks grid: one row per year of age,
+   * 52 weeks per row counted from each birthday (the last week absorbs the extra day or two)
+   * @param {string|Date} birthdate - Date of birth
+   * @param {Date} date - Date to locate
+   * @returns {{year: number, week: number}} Year of age and week within it (0-51)
+   */
+  static weekOfLife(birthdate, date) {
+    const birth = LifeClock.parseDate(birthdate);
+    const year = Math.floor(LifeClock.yearsBetween(birth, date));
+    const yearStart = LifeClock.addMonths(birth, year * 12);
+    const week = Math.min(51, Math.max(0, Math.floor(LifeClock.daysBetween(yearStart, date) / 7)));
+    return { year, week };
+  }
+
+  /**
+   * First day of a week in the life-in-weeks grid
+   * @param {string|Date} birthdate - Date of birth
+   * @param {number} year - Year of age
+   * @param {number} week - Week within that year (0-51)
+   * @returns {Date} Local date the week starts on
+   */
+  static weekStartDate(birthdate, year, week) {
+    const yearStart = LifeClock.addMonths(LifeClock.parseDate(birthdate), year * 12);
+    return LifeClock.addDays(yearStart, week * 7);
+  }
+
+  /**
+   * Projected end date for a birthdate and life expectancy
+   * @param {string|Date} birthdate - Date of birth
+   * @param {number} expectancy - Life expectancy in years
+   * @returns {Date} Projected end date (local midnight)
+   */
+  static endDate(birthdate, expectancy) {
+    return LifeClock.addYears(LifeClock.parseDate(birthdate), expectancy);
+  }
+}
+
+// Export for use in the popup and the background service worker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LifeClock;
+} else if (typeof self !== 'undefined') {
+  self.LifeClock = LifeClock;
+}
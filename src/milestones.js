@@ -0,0 +1,92 @@
+/**
+ * Personal milestones shown alongside the Life Clock
+ * Resolves each milestone to its next target date, a calendar countdown
+ * and the share of time elapsed since it was set (or since its last occurrence)
+ * Depends on LifeClock (src/lifeClock.js) being loaded first
+ */
+
+class Milestones {
+  /**
+   * Resolve a stored milestone against the current time
+   * @param {Object} milestone - Milestone with title, date (YYYY-MM-DD), optional since, repeat and createdAt
+   * @param {Date} now - Reference time
+   * @returns {Object} Milestone with target, since, diff, progress (0-1) and isPast
+   */
+  static resolve(milestone, now = new Date()) {
+    const base = LifeClock.parseDate(milestone.date);
+    let target = base;
+    let since = milestone.since
+      ? LifeClock.parseDate(milestone.since)
+      : new Date(milestone.createdAt || now.getTime());
+
+    if (milestone.repeat === 'yearly') {
+      // Next anniversary of the date; progress runs from the previous one
+      let years = Math.max(0, now.getFullYear() - base.getFullYear());
+      target = LifeClock.addMonths(base, years * 12);
+      if (target <= now) {
+        years++;
+        target = LifeClock.addMonths(base, years * 12);
+      }
+      if (years > 0) {
+        since = LifeClock.addMonths(base, (years - 1) * 12);
+      }
+    }
+
+    const span = target - since;
+    const isPast = target <= now;
+    const progress = isPast ? 1 : (span > 0 ? Math.min(1, Math.max(0, (now - since) / span)) : 0);
+
+    return {
+      ...milestone,
+      target,
+      since,
+      diff: LifeClock.calendarDiff(now, target),
+      progress,
+      isPast
+    };
+  }
+
+  /**
+   * Sort resolved milestones
+   * @param {Array<Object>} resolved - Milestones returned by resolve()
+   * @param {string} by - 'date' (soonest first, reached last), 'title' or 'progress'
+   * @returns {Array<Object>} Sorted copy
+   */
+  static sort(resolved, by = 'date') {
+    const sorted = [...resolved];
+
+    if (by === 'title') {
+      sorted.sort((a, b) => a.title.localeCompare(b.title));
+    } else if (by === 'progress') {
+      sorted.sort((a, b) => b.progress - a.progress);
+    } else {
+      sorted.sort((a, b) => (a.isPast - b.isPast) || (a.target - b.target));
+    }
+
+    return sorted;
+  }
+
+  /**
+   * Compact countdown text, e.g. "1y 2m 3d 04:05:06"
+   * @param {Object} diff - Breakdown from LifeClock.calendarDiff
+   * @returns {string} Formatted countdown
+   */
+  static formatDiff(diff) {
+    const parts = [];
+    if (diff.years) parts.push(`${diff.years}y`);
+    if (diff.years || diff.months) parts.push(`${diff.months}m`);
+    parts.push(`${diff.days}d`);
+
+    const clock = [diff.hours, diff.minutes, diff.seconds]
+      .map(value => value.toString().padStart(2, '0'))
+      .join(':');
+    return `${parts.join(' ')} ${clock}`;
+  }
+}
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Milestones;
+} else if (typeof self !== 'undefined') {
+  self.Milestones = Milestones;
+}
@@ -0,0 +1,197 @@
+/**
+ * Mood statistics computed from the journal
+ * Scores each day's mood from 1 (difficult) to 5 (great) and relates it to
+ * the timer's focus minutes and to the emotions found in that night's dreams
+ * Journal dates and focus days are both local date keys from LifeClock.formatDate
+ * Depends on LifeClock (src/lifeClock.js) and SessionStats (src/sessionStats.js) being loaded first
+ */
+
+class MoodStats {
+  /**
+   * @param {Object} entries - Journal entries keyed by date
+   * @param {Array<Object>} sessions - Session history records
+   * @param {Object<string, Array<Object>>} dreamNights - Dreams keyed by night (DreamStore.byNight)
+   */
+  constructor(entries = {}, sessions = [], dreamNights = {}) {
+    const focusByDay = new SessionStats(sessions).focusByDay();
+    this.hasSessions = sessions.length > 0;
+
+    this.days = Object.keys(entries)
+      .filter(date => MoodStats.scores[entries[date].mood])
+      .sort()
+      .map(date => {
+        const entry = entries[date];
+        return {
+          date,
+          mood: entry.mood,
+          score: MoodStats.scores[entry.mood],
+          focusMinutes: focusByDay[date] || 0,
+          emotions: [...new Set((dreamNights[date] || []).flatMap(dream => MoodStats._emotions(dream.analysis)))]
+        };
+      });
+  }
+
+  /**
+   * The journal's mood buttons, best first
+   * @returns {Array<{key: string, label: string, emoji: string, color: string}>} Moods
+   */
+  static get moods() {
+    return [
+      { key: 'great', label: 'Great', emoji: '😊', color: '#22c55e' },
+      { key: 'good', label: 'Good', emoji: '😌', color: '#84cc16' },
+      { key: 'okay', label: 'Okay', emoji: '😐', color: '#fbbf24' },
+      { key: 'tough', label: 'Tough', emoji: '😔', color: '#f97316' },
+      { key: 'difficult', label: 'Difficult', emoji: '😞', color: '#ef4444' }
+    ];
+  }
+
+  /**
+   * Score of each mood
+   * @returns {Object<string, number>} Scores from 1 (difficult) to 5 (great) keyed by mood
+   */
+  static get scores() {
+    const moods = MoodStats.moods;
+    return Object.fromEntries(moods.map((mood, index) => [mood.key, moods.length - index]));
+  }
+
+  /**
+   * Pearson correlation coefficient
+   * @param {Array<number>} xs - First variable
+   * @param {Array<number>} ys - Second variable, same length
+   * @returns {number|null} Coefficient from -1 to 1, or null when either variable doesn't vary
+   */
+  static correlation(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return null;
+
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+      covariance += (xs[i] - meanX) * (ys[i] - meanY);
+      varianceX += (xs[i] - meanX) ** 2;
+      varianceY += (ys[i] - meanY) ** 2;
+    }
+
+    return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+  }
+
+  /**
+   * Daily moods with the average over the preceding `window` days, over the last `days` days
+   * @param {number} days - Number of days to return
+   * @param {number} window - Rolling average window in days
+   * @param {Date} now - Reference date
+   * @returns {Array<{date: string, mood: string, score: number, average: number}>} Days with a mood, oldest first
+   */
+  trend(days = 90, window = 7, now = new Date()) {
+    const start = LifeClock.formatDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() - days + 1));
+
+    return this.days
+      .filter(day => day.date >= start)
+      .map(day => {
+        const date = LifeClock.parseDate(day.date);
+        const from = LifeClock.formatDate(new Date(date.getFullYear(), date.getMonth(), date.getDate() - window + 1));
+        const scores = this.days.filter(other => other.date >= from && other.date <= day.date).map(other => other.score);
+        return {
+          date: day.date,
+          mood: day.mood,
+          score: day.score,
+          average: scores.reduce((sum, score) => sum + score, 0) / scores.length
+        };
+      });
+  }
+
+  /**
+   * Average mood for each day of the week
+   * @returns {Array<{average: number|null, count: number}>} 7 weekdays, Monday first
+   */
+  byWeekday() {
+    const totals = Array.from({ length: 7 }, () => ({ sum: 0, count: 0 }));
+    this.days.forEach(day => {
+      const weekday = (LifeClock.parseDate(day.date).getDay() + 6) % 7;
+      totals[weekday].sum += day.score;
+      totals[weekday].count++;
+    });
+
+    return totals.map(({ sum, count }) => ({ average: count > 0 ? sum / count : null, count }));
+  }
+
+  /**
+   * Number of days logged with each mood
+   * @returns {Object<string, number>} Counts keyed by mood
+   */
+  distribution() {
+    const counts = Object.fromEntries(Object.keys(MoodStats.scores).map(mood => [mood, 0]));
+    this.days.forEach(day => counts[day.mood]++);
+    return counts;
+  }
+
+  /**
+   * Average mood overall and over the last `days` days
+   * @param {number} days - Recent window in days
+   * @param {Date} now - Reference date
+   * @returns {{overall: number|null, recent: number|null}} Averages from 1 to 5
+   */
+  averages(days = 30, now = new Date()) {
+    const start = LifeClock.formatDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() - days + 1));
+    return {
+      overall: this._average(this.days),
+      recent: this._average(this.days.filter(day => day.date >= start))
+    };
+  }
+
+  /**
+   * How mood relates to the day's focus minutes
+   * @returns {{correlation: number|null, focused: number|null, unfocused: number|null}} Correlation
+   *   coefficient and average mood on days with and without focus time
+   */
+  focusCorrelation() {
+    if (!this.hasSessions) {
+      return { correlation: null, focused: null, unfocused: null };
+    }
+
+    return {
+      correlation: MoodStats.correlation(this.days.map(day => day.focusMinutes), this.days.map(day => day.score)),
+      focused: this._average(this.days.filter(day => day.focusMinutes >= 1)),
+      unfocused: this._average(this.days.filter(day => day.focusMinutes < 1))
+    };
+  }
+
+  /**
+   * Average mood on days whose dreams showed each emotion
+   * @param {number} limit - Maximum number of emotions
+   * @returns {Array<{emotion: string, count: number, average: number}>} Most frequent emotions first
+   */
+  dreamEmotions(limit = 8) {
+    const byEmotion = {};
+    this.days.forEach(day => {
+      day.emotions.forEach(emotion => {
+        byEmotion[emotion] = byEmotion[emotion] || [];
+        byEmotion[emotion].push(day);
+      });
+    });
+
+    return Object.entries(byEmotion)
+      .map(([emotion, days]) => ({ emotion, count: days.length, average: this._average(days) }))
+      .sort((a, b) => b.count - a.count || b.average - a.average)
+      .slice(0, limit);
+  }
+
+  _average(days) {
+    return days.length > 0 ? days.reduce((sum, day) => sum + day.score, 0) / days.length : null;
+  }
+
+  static _emotions(analysis) {
+    if (!analysis || !Array.isArray(analysis.emotions)) return [];
+    return [...new Set(analysis.emotions.filter(Boolean).map(emotion => emotion.trim().toLowerCase()))];
+  }
+}
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MoodStats;
+} else if (typeof self !== 'undefined') {
+  self.MoodStats = MoodStats;
+}
@@ -0,0 +1,261 @@
+/**
+ * Saved timer presets for the Segmented Timer
+ * Persists named session plans in chrome.storage and handles JSON export/import
+ */
+
+class PresetStore {
+  constructor() {
+    this.storageKey = 'timerPresets';
+    this.defaultKey = 'defaultPresetId';
+    this.exportVersion = 1;
+  }
+
+  /**
+   * Presets seeded on first use
+   * @returns {Array<Object>} Built-in presets
+   */
+  static get builtInPresets() {
+    return [
+      { name: 'Classic 120/15/2', mode: 'segmented', total: 120, segment: 15, grace: 2 },
+      {
+        name: 'Pomodoro',
+        mode: 'custom',
+        phases: [
+          { label: 'Pomodoro 1', type: 'work', minutes: 25 },
+          { label: 'Short break', type: 'break', minutes: 5 },
+          { label: 'Pomodoro 2', type: 'work', minutes: 25 },
+          { label: 'Short break', type: 'break', minutes: 5 },
+          { label: 'Pomodoro 3', type: 'work', minutes: 25 },
+          { label: 'Short break', type: 'break', minutes: 5 },
+          { label: 'Pomodoro 4', type: 'work', minutes: 25 },
+          { label: 'Long break', type: 'break', minutes: 15 }
+        ]
+      },
+      { name: 'Study block', mode: 'segmented', total: 120, segment: 50, grace: 10 },
+      {
+        name: 'Standup prep',
+        mode: 'custom',
+        phases: [
+          { label: 'Review yesterday', type: 'work', minutes: 5 },
+          { label: 'Plan today', type: 'work', minutes: 5 },
+          { label: 'Note blockers', type: 'work', minutes: 5 }
+        ]
+      }
+    ];
+  }
+
+  /**
+   * Load all presets in display order, seeding the built-ins on first use
+   * @returns {Promise<Array<Object>>} Presets
+   */
+  async getAll() {
+    const data = await chrome.storage.local.get([this.storageKey]);
+
+    if (!Array.isArray(data[this.storageKey])) {
+      const presets = PresetStore.builtInPresets.map(preset => this._withId(preset));
+      await chrome.storage.local.set({
+        [this.storageKey]: presets,
+        [this.defaultKey]: presets[0].id
+      });
+      return presets;
+    }
+
+    return data[this.storageKey];
+  }
+
+  /**
+   * Get the ID of the default preset
+   * @returns {Promise<string|null>} Default preset ID
+   */
+  async getDefaultId() {
+    const presets = await this.getAll();
+    const data = await chrome.storage.local.get([this.defaultKey]);
+    const defaultId = data[this.defaultKey];
+
+    if (presets.some(preset => preset.id === defaultId)) {
+      return defaultId;
+    }
+    return presets.length > 0 ? presets[0].id : null;
+  }
+
+  /**
+   * Create or update a preset
+   * @param {Object} preset - Preset with name and plan; an existing id updates in place
+   * @returns {Promise<Object>} Saved preset
+   */
+  async save(preset) {
+    const saved = this.validate(preset);
+    const presets = await this.getAll();
+    const index = presets.findIndex(p => p.id === preset.id);
+
+    if (index >= 0) {
+      presets[index] = { ...saved, id: preset.id };
+    } else {
+      presets.push(this._withId(saved));
+    }
+
+    await this._write(presets);
+    return index >= 0 ? presets[index] : presets[presets.length - 1];
+  }
+
+  /**
+   * Duplicate a preset, placing the copy right after the original
+   * @param {string} id - Preset ID
+   * @returns {Promise<Object>} The copy
+   */
+  async duplicate(id) {
+    const presets = await this.getAll();
+    const index = this._indexOf(presets, id);
+    const copy = this._withId({ ...presets[index], name: `${presets[index].name} (copy)` });
+
+    presets.splice(index + 1, 0, copy);
+    await this._write(presets);
+    return copy;
+  }
+
+  /**
+   * Delete a preset
+   * @param {string} id - Preset ID
+   */
+  async remove(id) {
+    const presets = await this.getAll();
+    presets.splice(this._indexOf(presets, id), 1);
+    await this._write(presets);
+  }
+
+  /**
+   * Move a preset one position up or down
+   * @param {string} id - Preset ID
+   * @param {number} direction - -1 to move up, 1 to move down
+   */
+  async move(id, direction) {
+    const presets = await this.getAll();
+    const index = this._indexOf(presets, id);
+    const target = index + direction;
+
+    if (target < 0 || target >= presets.length) return;
+
+    [presets[index], presets[target]] = [presets[target], presets[index]];
+    await this._write(presets);
+  }
+
+  /**
+   * Mark a preset as the default
+   * @param {string} id - Preset ID
+   */
+  async setDefault(id) {
+    const presets = await this.getAll();
+    this._indexOf(presets, id);
+    await chrome.storage.local.set({ [this.defaultKey]: id });
+  }
+
+  /**
+   * Serialize presets for sharing
+   * @returns {Promise<string>} JSON document
+   */
+  async exportJSON() {
+    const presets = await this.getAll();
+    return JSON.stringify({
+      type: 'topboompop-timer-presets',
+      version: this.exportVersion,
+      presets: presets.map(({ id, ...preset }) => preset)
+    }, null, 2);
+  }
+
+  /**
+   * Import shared presets, appending them after the existing ones
+   * @param {string} json - JSON document produced by exportJSON (or a bare array of presets)
+   * @returns {Promise<number>} Number of presets imported
+   */
+  async importJSON(json) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Import file is not valid JSON');
+    }
+
+    const incoming = Array.isArray(parsed) ? parsed : parsed && parsed.presets;
+    if (!Array.isArray(incoming) || incoming.length === 0) {
+      throw new Error('Import file contains no presets');
+    }
+
+    const imported = incoming.map((preset, index) => {
+      try {
+        return this._withId(this.validate(preset));
+      } catch (error) {
+        throw new Error(`Preset ${index + 1}: ${error.message}`);
+      }
+    });
+
+    const presets = await this.getAll();
+    await this._write([...presets, ...imported]);
+    return imported.length;
+  }
+
+  /**
+   * Validate a preset and strip unknown fields
+   * @param {Object} preset - Preset to validate
+   * @returns {Object} Clean preset without an id
+   */
+  validate(preset) {
+    if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) {
+      throw new Error('Preset name is required');
+    }
+
+    const name = preset.name.trim();
+
+    if (preset.mode === 'custom') {
+      const phases = TimerEngine.normalizePhases(preset.phases)
+        .map(({ label, type, minutes }) => ({ label, type, minutes }));
+      return { name, mode: 'custom', phases };
+    }
+
+    const total = Number(preset.total);
+    const segment = Number(preset.segment);
+    const grace = Number(preset.grace) || 0;
+
+    if (!(total > 0) || !(segment > 0) || grace < 0 || segment >= total) {
+      throw new Error('Segmented presets need total > segment > 0 and a non-negative grace period');
+    }
+    return { name, mode: 'segmented', total, segment, grace };
+  }
+
+  /**
+   * Expand a preset into the phase list sent with START_TIMER
+   * @param {Object} preset - Preset
+   * @returns {Array<Object>} Phases
+   */
+  static getPhases(preset) {
+    if (preset.mode === 'custom') {
+      return preset.phases.map(phase => ({ ...phase }));
+    }
+    return TimerEngine.buildSegmentPhases(preset.total, preset.segment, preset.grace);
+  }
+
+  async _write(presets) {
+    await chrome.storage.local.set({ [this.storageKey]: presets });
+  }
+
+  _indexOf(presets, id) {
+    const index = presets.findIndex(preset => preset.id === id);
+    if (index < 0) {
+      throw new Error('Preset not found');
+    }
+    return index;
+  }
+
+  _withId(preset) {
+    return {
+      ...preset,
+      id: `preset_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    };
+  }
+}
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PresetStore;
+} else if (typeof self !== 'undefined') {
+  self.PresetStore = PresetStore;
+}
@@ -0,0 +1,67 @@
+/**
+ * Short session specs typed in the omnibox, e.g. "50/10x4 write report":
+ * four 50-minute work segments with 10-minute breaks between them,
+ * optionally followed by the task the session is for
+ */
+
+class SessionSpec {
+  /**
+   * Parse a session spec
+   * @param {string} text - Spec as "<work>[/<break>][x<count>] [task]"
+   * @returns {{phases: Array<Object>, task: string|null}} Phases with label, type and minutes, and the task label
+   */
+  static parse(text) {
+    const match = /^\s*(\d+(?:\.\d+)?)(?:\s*\/\s*(\d+(?:\.\d+)?))?(?:\s*[x×*]\s*(\d+))?(?:\s+(.*?))?\s*$/i.exec(text || '');
+    if (!match) {
+      throw new Error('Use <work>/<break>x<count>, e.g. 50/10x4');
+    }
+
+    const work = Number(match[1]);
+    const rest = match[2] ? Number(match[2]) : 0;
+    const count = match[3] ? Number(match[3]) : 1;
+
+    if (work < 1 || work > 600) {
+      throw new Error('Work segments must last between 1 and 600 minutes');
+    }
+    if (rest > 120) {
+      throw new Error('Breaks can last at most 120 minutes');
+    }
+    if (count < 1 || count > 20) {
+      throw new Error('A session can have between 1 and 20 segments');
+    }
+
+    const phases = [];
+    for (let block = 0; block < count; block++) {
+      phases.push({ label: `Segment ${block + 1} of ${count}`, type: 'work', minutes: work });
+      if (rest > 0 && block < count - 1) {
+        phases.push({ label: `Break after Segment ${block + 1}`, type: 'break', minutes: rest });
+      }
+    }
+
+    return { phases, task: match[4] || null };
+  }
+
+  /**
+   * One-line description of a parsed spec
+   * @param {{phases: Array<Object>, task: string|null}} spec - Result of parse()
+   * @returns {string} Description, e.g. "4 × 50 min work, 10 min breaks (230 min total)"
+   */
+  static describe(spec) {
+    const work = spec.phases.filter(phase => phase.type === 'work');
+    const rest = spec.phases.find(phase => phase.type === 'break');
+    const total = spec.phases.reduce((sum, phase) => sum + phase.minutes, 0);
+
+    let text = `${work.length} × ${work[0].minutes} min work`;
+    if (rest) text += `, ${rest.minutes} min breaks`;
+    text += ` (${total} min total)`;
+    if (spec.task) text += ` for "${spec.task}"`;
+    return text;
+  }
+}
+
+// Export for use in the popup and the background service worker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionSpec;
+} else if (typeof self !== 'undefined') {
+  self.SessionSpec = SessionSpec;
+}
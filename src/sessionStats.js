@@ -0,0 +1,180 @@
+/**
+ * Productivity statistics computed from the session history log
+ * Works on the records the background timer stores in `sessionHistory`
+ * Depends on LifeClock (src/lifeClock.js) being loaded first
+ */
+
+class SessionStats {
+  /**
+   * @param {Array<Object>} sessions - Session history records
+   */
+  constructor(sessions = []) {
+    this.sessions = sessions;
+    this.slices = this._buildFocusSlices();
+  }
+
+  /**
+   * Local calendar date key (YYYY-MM-DD) for a timestamp, the same key journal entries use
+   * @param {number|Date} time - Timestamp or date
+   * @returns {string} Date key
+   */
+  static dateKey(time) {
+    return LifeClock.formatDate(new Date(time));
+  }
+
+  /**
+   * Focus minutes for each of the last `days` days, oldest first
+   * @param {number} days - Number of days
+   * @param {Date} now - Reference date
+   * @returns {Array<{date: string, minutes: number}>} Daily totals
+   */
+  dailyTotals(days = 7, now = new Date()) {
+    const byDay = this.focusByDay();
+    const totals = [];
+
+    for (let offset = days - 1; offset >= 0; offset--) {
+      const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset);
+      const key = SessionStats.dateKey(date);
+      totals.push({ date: key, minutes: byDay[key] || 0 });
+    }
+
+    return totals;
+  }
+
+  /**
+   * Focus minutes for each of the last `weeks` weeks (Monday to Sunday), oldest first
+   * @param {number} weeks - Number of weeks
+   * @param {Date} now - Reference date
+   * @returns {Array<{weekStart: string, minutes: number}>} Weekly totals
+   */
+  weeklyTotals(weeks = 4, now = new Date()) {
+    const monday = this._startOfWeek(now);
+    const totals = [];
+
+    for (let offset = weeks - 1; offset >= 0; offset--) {
+      const start = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() - offset * 7);
+      const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+      const minutes = this.slices
+        .filter(slice => slice.start >= start.getTime() && slice.start < end.getTime())
+        .reduce((sum, slice) => sum + slice.minutes, 0);
+      totals.push({ weekStart: SessionStats.dateKey(start), minutes });
+    }
+
+    return totals;
+  }
+
+  /**
+   * Focus minutes keyed by local date
+   * @returns {Object<string, number>} Minutes per date key
+   */
+  focusByDay() {
+    return this.slices.reduce((byDay, slice) => {
+      const key = SessionStats.dateKey(slice.start);
+      byDay[key] = (byDay[key] || 0) + slice.minutes;
+      return byDay;
+    }, {});
+  }
+
+  /**
+   * Consecutive days with at least one minute of focus
+   * @param {Date} now - Reference date
+   * @returns {{current: number, longest: number}} Streak lengths in days
+   */
+  streaks(now = new Date()) {
+    const byDay = this.focusByDay();
+    const days = Object.keys(byDay).filter(key => byDay[key] >= 1).sort();
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    days.forEach(key => {
+      run = previous && this._daysBetween(previous, key) === 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previous = key;
+    });
+
+    // The current streak may end yesterday if today has no focus yet
+    let current = 0;
+    const cursor = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (!(byDay[SessionStats.dateKey(cursor)] >= 1)) {
+      cursor.setDate(cursor.getDate() - 1);
+    }
+    while (byDay[SessionStats.dateKey(cursor)] >= 1) {
+      current++;
+      cursor.setDate(cursor.getDate() - 1);
+    }
+
+    return { current, longest };
+  }
+
+  /**
+   * Share of sessions that ran to the end
+   * @returns {{completed: number, abandoned: number, rate: number}} Completion stats (rate 0-1)
+   */
+  completionRate() {
+    const abandoned = this.sessions.filter(session => session.abandoned).length;
+    const completed = this.sessions.length - abandoned;
+    return {
+      completed,
+      abandoned,
+      rate: this.sessions.length > 0 ? completed / this.sessions.length : 0
+    };
+  }
+
+  /**
+   * Focus minutes per weekday and hour of day
+   * @returns {Array<Array<number>>} 7 rows (Monday first) of 24 hourly totals
+   */
+  hourHeatmap() {
+    const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+
+    this.slices.forEach(slice => {
+      const date = new Date(slice.start);
+      const weekday = (date.getDay() + 6) % 7;
+      grid[weekday][date.getHours()] += slice.minutes;
+    });
+
+    return grid;
+  }
+
+  /**
+   * Split every focus interval at local hour boundaries
+   * @returns {Array<{start: number, minutes: number}>} Hour-aligned focus slices
+   */
+  _buildFocusSlices() {
+    const slices = [];
+
+    this.sessions.forEach(session => {
+      (session.focusIntervals || []).forEach(interval => {
+        let start = interval.start;
+        while (start < interval.end) {
+          const nextHour = new Date(start);
+          nextHour.setMinutes(60, 0, 0);
+          const end = Math.min(nextHour.getTime(), interval.end);
+          slices.push({ start, minutes: (end - start) / 60000 });
+          start = end;
+        }
+      });
+    });
+
+    return slices;
+  }
+
+  _startOfWeek(date) {
+    const weekday = (date.getDay() + 6) % 7;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - weekday);
+  }
+
+  _daysBetween(fromKey, toKey) {
+    const [fy, fm, fd] = fromKey.split('-').map(Number);
+    const [ty, tm, td] = toKey.split('-').map(Number);
+    return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000);
+  }
+}
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionStats;
+} else if (typeof self !== 'undefined') {
+  self.SessionStats = SessionStats;
+}
@@ -0,0 +1,222 @@
+/**
+ * App settings
+ * One versioned settings object in chrome.storage.sync, so preferences follow
+ * the user between browsers. Every module reads its configuration from here
+ * and reacts to changes through onChange()
+ */
+
+class SettingsStore {
+  constructor() {
+    this.storageKey = 'settings';
+    // Settings kept as separate chrome.storage.local keys before version 1
+    this.legacyKeys = ['lifeSettings', 'idleSettings', 'blockSettings', 'soundSettings'];
+    // Migration in progress, shared by loads that start before it finishes
+    this.migrating = null;
+  }
+
+  /**
+   * Current schema version
+   * @returns {number} Version
+   */
+  static get version() {
+    return 1;
+  }
+
+  /**
+   * Default value of every setting, grouped by section
+   * @returns {Object} Default settings
+   */
+  static get defaults() {
+    return {
+      life: { mode: 'manual', targetAge: 90, sex: 'female', country: 'US', badgeDaysLeft: false },
+      // 'off' keeps counting, 'pause' auto-pauses work while the user is away,
+      // 'record' keeps counting but logs the time away as lost focus
+      idle: { mode: 'off', minutes: 5, autoResume: true },
+      // 'block' blocks the listed sites; 'allow' blocks everything except them
+      blocking: {
+        enabled: false,
+        mode: 'block',
+        sites: ['youtube.com', 'reddit.com', 'twitter.com', 'x.com', 'facebook.com', 'instagram.com']
+      },
+      // A sound of 'none' is silent
+      sounds: {
+        workStart: { sound: 'bell', volume: 0.6 },
+        breakStart: { sound: 'bowl', volume: 0.6 },
+        sessionComplete: { sound: 'rising', volume: 0.7 },
+        ambient: { sound: 'none', volume: 0.3 }
+      },
+      api: { baseUrl: 'https://topboompop-life-app-20-8o500djz1-toboompops-projects.vercel.app' },
+      updates: { check: false }
+    };
+  }
+
+  /**
+   * Validation rule for every setting
+   * @returns {Object} Functions returning true for valid values, grouped like defaults
+   */
+  static get rules() {
+    const oneOf = (...values) => value => values.includes(value);
+    const number = (min, max) => value => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+    const bool = value => typeof value === 'boolean';
+    const text = value => typeof value === 'string' && value.length > 0;
+    const sound = value => Boolean(value) && text(value.sound) && number(0, 1)(value.volume);
+
+    return {
+      life: { mode: oneOf('manual', 'table'), targetAge: number(1, 125), sex: oneOf('female', 'male'), country: text, badgeDaysLeft: bool },
+      idle: { mode: oneOf('off', 'pause', 'record'), minutes: number(1, 60), autoResume: bool },
+      blocking: { enabled: bool, mode: oneOf('block', 'allow'), sites: value => Array.isArray(value) && value.every(text) },
+      sounds: { workStart: sound, breakStart: sound, sessionComplete: sound, ambient: sound },
+      api: { baseUrl: value => typeof value === 'string' && /^(https:\/\/[^\s/]+|http:\/\/(localhost|127\.0\.0\.1)(:\d+)?)\/?$/.test(value) },
+      updates: { check: bool }
+    };
+  }
+
+  /**
+   * Ordered migrations; each one upgrades settings from the previous version
+   * @returns {Array<{version: number, migrate: Function}>} Migrations taking (settings, legacy local data)
+   */
+  static get migrations() {
+    return [
+      {
+        version: 1,
+        migrate: (settings, legacy) => ({
+          ...settings,
+          life: legacy.lifeSettings || settings.life,
+          idle: legacy.idleSettings || settings.idle,
+          blocking: legacy.blockSettings || settings.blocking,
+          sounds: legacy.soundSettings || settings.sounds
+        })
+      }
+    ];
+  }
+
+  /**
+   * Fill in missing settings and replace invalid ones with their defaults
+   * @param {Object} settings - Settings to check
+   * @returns {{settings: Object, errors: Array<string>}} Clean settings and the invalid fields ("section.field")
+   */
+  static validate(settings) {
+    const errors = [];
+    const clean = { version: SettingsStore.version };
+
+    Object.entries(SettingsStore.defaults).forEach(([section, defaults]) => {
+      const values = { ...defaults, ...(settings && settings[section]) };
+      clean[section] = {};
+
+      Object.keys(defaults).forEach(field => {
+        if (SettingsStore.rules[section][field](values[field])) {
+          clean[section][field] = values[field];
+        } else {
+          errors.push(`${section}.${field}`);
+          clean[section][field] = defaults[field];
+        }
+      });
+    });
+
+    return { settings: clean, errors };
+  }
+
+  /**
+   * Load the settings, migrating them first if they were saved by an older version
+   * @returns {Promise<Object>} Settings
+   */
+  async load() {
+    const data = await chrome.storage.sync.get([this.storageKey]);
+    let stored = data[this.storageKey];
+
+    if (!stored || !(stored.version >= SettingsStore.version)) {
+      if (!this.migrating) {
+        this.migrating = this._migrate(stored || { version: 0 }).finally(() => {
+          this.migrating = null;
+        });
+      }
+      stored = await this.migrating;
+    }
+
+    return SettingsStore.validate(stored).settings;
+  }
+
+  /**
+   * Change settings in one section
+   * @param {string} section - Section name, e.g. 'idle'
+   * @param {Object} values - Fields to change
+   * @returns {Promise<Object>} Updated settings
+   */
+  async update(section, values) {
+    if (!SettingsStore.defaults[section]) {
+      throw new Error(`Unknown settings section: ${section}`);
+    }
+
+    const current = await this.load();
+    const { settings, errors } = SettingsStore.validate({ ...current, [section]: { ...current[section], ...values } });
+    if (errors.length > 0) {
+      throw new Error(`Invalid setting: ${errors.join(', ')}`);
+    }
+
+    await chrome.storage.sync.set({ [this.storageKey]: settings });
+    return settings;
+  }
+
+  /**
+   * Replace every setting, e.g. from a backup; invalid values fall back to their defaults
+   * @param {Object} settings - Settings to store
+   * @returns {Promise<Object>} Stored settings
+   */
+  async replace(settings) {
+    const { settings: clean } = SettingsStore.validate(settings);
+    await chrome.storage.sync.set({ [this.storageKey]: clean });
+    return clean;
+  }
+
+  /**
+   * Restore every setting to its default
+   * @returns {Promise<Object>} Default settings
+   */
+  async reset() {
+    const { settings } = SettingsStore.validate({});
+    await chrome.storage.sync.set({ [this.storageKey]: settings });
+    return settings;
+  }
+
+  /**
+   * Call back whenever the settings change, in this or any other extension page
+   * @param {Function} callback - Called with (settings, previousSettings)
+   */
+  onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      const change = changes[this.storageKey];
+      if (area !== 'sync' || !change || !change.newValue) return;
+
+      const previous = change.oldValue ? SettingsStore.validate(change.oldValue).settings : null;
+      callback(SettingsStore.validate(change.newValue).settings, previous);
+    });
+  }
+
+  async _migrate(stored) {
+    const legacy = await chrome.storage.local.get(this.legacyKeys);
+    const migrated = SettingsStore.migrations
+      .filter(migration => migration.version > (stored.version || 0))
+      .reduce((settings, migration) => ({ ...migration.migrate(settings, legacy), version: migration.version }), stored);
+
+    // Another extension page may have migrated first and removed the legacy
+    // keys; its settings win over ones made without them
+    const data = await chrome.storage.sync.get([this.storageKey]);
+    const current = data[this.storageKey];
+    if (current && current.version >= SettingsStore.version) {
+      return SettingsStore.validate(current).settings;
+    }
+
+    // Invalid legacy values fall back to their defaults rather than blocking the upgrade
+    const { settings } = SettingsStore.validate(migrated);
+    await chrome.storage.sync.set({ [this.storageKey]: settings });
+    await chrome.storage.local.remove(this.legacyKeys);
+    return settings;
+  }
+}
+
+// Export for use in the popup and the background service worker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SettingsStore;
+} else if (typeof self !== 'undefined') {
+  self.SettingsStore = SettingsStore;
+}
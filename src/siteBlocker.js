@@ -0,0 +1,108 @@
+/**
+ * Distraction blocking for work segments
+ * Turns the block/allow list into declarativeNetRequest rules that send
+ * matching pages to the extension's focus page
+ */
+
+class SiteBlocker {
+  /**
+   * IDs of the dynamic rules this module manages
+   * @returns {Array<number>} Rule IDs
+   */
+  static get ruleIds() {
+    return [1, 2];
+  }
+
+  /**
+   * Reduce user input ("https://www.youtube.com/feed") to a domain ("youtube.com")
+   * @param {string} input - Site as typed
+   * @returns {string|null} Domain, or null when the input isn't a domain
+   */
+  static normalizeSite(input) {
+    const host = String(input || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .split(/[/?#:]/)[0]
+      .replace(/^www\./, '');
+
+    return /^([a-z0-9-]+\.)+[a-z]{2,}$/.test(host) ? host : null;
+  }
+
+  /**
+   * Whether a URL belongs to one of the sites (subdomains included)
+   * @param {string} url - Page URL
+   * @param {Array<string>} sites - Domains
+   * @returns {boolean} True when the URL matches
+   */
+  static matchesSite(url, sites) {
+    let host;
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return false;
+    }
+    return sites.some(site => host === site || host.endsWith(`.${site}`));
+  }
+
+  /**
+   * Whether a page should be blocked under the given settings
+   * @param {Object} settings - Blocking settings
+   * @param {string} url - Page URL
+   * @returns {boolean} True when the page is blocked
+   */
+  static isBlocked(settings, url) {
+    if (!/^https?:/.test(url)) return false;
+
+    const listed = SiteBlocker.matchesSite(url, settings.sites);
+    return settings.mode === 'allow' ? !listed : listed;
+  }
+
+  /**
+   * Build the dynamic rules that redirect blocked pages to the focus page.
+   * The original URL is passed in the fragment so the page can send the user back
+   * @param {Object} settings - Blocking settings
+   * @param {string} focusPageUrl - Full URL of the focus page
+   * @returns {Array<Object>} declarativeNetRequest rules
+   */
+  static buildRules(settings, focusPageUrl) {
+    const [redirectId, allowId] = SiteBlocker.ruleIds;
+    const redirect = {
+      id: redirectId,
+      priority: 1,
+      action: {
+        type: 'redirect',
+        redirect: { regexSubstitution: `${focusPageUrl}#\\0` }
+      },
+      condition: {
+        regexFilter: '^https?://.*',
+        resourceTypes: ['main_frame']
+      }
+    };
+
+    if (settings.mode === 'allow') {
+      // Everything is redirected except the allowed sites, which a higher-priority rule lets through
+      const rules = [redirect];
+      if (settings.sites.length > 0) {
+        rules.push({
+          id: allowId,
+          priority: 2,
+          action: { type: 'allow' },
+          condition: { requestDomains: settings.sites, resourceTypes: ['main_frame'] }
+        });
+      }
+      return rules;
+    }
+
+    if (settings.sites.length === 0) return [];
+    redirect.condition.requestDomains = settings.sites;
+    return [redirect];
+  }
+}
+
+// Export for use in the popup and the background service worker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SiteBlocker;
+} else if (typeof self !== 'undefined') {
+  self.SiteBlocker = SiteBlocker;
+}
@@ -0,0 +1,179 @@
+/**
+ * Chimes and ambient sound for the Segmented Timer
+ * Every sound is synthesized with the Web Audio API, so nothing has to be
+ * downloaded. Used by the offscreen document (the service worker can't play
+ * audio) and by the popup to preview sounds
+ */
+
+class SoundPlayer {
+  constructor() {
+    this.context = null;
+    this.ambient = null;
+  }
+
+  /**
+   * Bundled chimes: each note is [frequency (Hz), start (s), length (s), relative gain]
+   * @returns {Object} Chimes keyed by ID
+   */
+  static get chimes() {
+    return {
+      bell: {
+        name: 'Bell',
+        wave: 'sine',
+        notes: [[880, 0, 1.6, 1], [1760, 0, 0.8, 0.35], [2640, 0, 0.4, 0.15]]
+      },
+      bowl: {
+        name: 'Singing bowl',
+        wave: 'sine',
+        notes: [[220, 0, 3.5, 1], [331, 0, 3, 0.6], [528, 0, 2.2, 0.3]]
+      },
+      digital: {
+        name: 'Digital beeps',
+        wave: 'square',
+        notes: [[1000, 0, 0.1, 0.4], [1000, 0.18, 0.1, 0.4], [1000, 0.36, 0.1, 0.4]]
+      },
+      rising: {
+        name: 'Rising chime',
+        wave: 'triangle',
+        notes: [[523, 0, 0.5, 1], [659, 0.15, 0.5, 1], [784, 0.3, 0.5, 1], [1047, 0.45, 1.2, 1]]
+      }
+    };
+  }
+
+  /**
+   * Looping ambient tracks for work phases
+   * @returns {Object} Track names keyed by ID
+   */
+  static get ambientTracks() {
+    return {
+      rain: { name: 'Rain' },
+      brown: { name: 'Brown noise' }
+    };
+  }
+
+  /**
+   * Play a chime once
+   * @param {string} id - Chime ID
+   * @param {number} volume - Volume from 0 to 1
+   */
+  playChime(id, volume = 0.6) {
+    const chime = SoundPlayer.chimes[id];
+    if (!chime || volume <= 0) return;
+
+    const context = this._getContext();
+    const now = context.currentTime;
+
+    chime.notes.forEach(([frequency, start, length, gain]) => {
+      const oscillator = context.createOscillator();
+      const envelope = context.createGain();
+      oscillator.type = chime.wave;
+      oscillator.frequency.value = frequency;
+
+      // Quick attack, exponential decay like a struck bell
+      envelope.gain.setValueAtTime(0.0001, now + start);
+      envelope.gain.exponentialRampToValueAtTime(Math.max(0.0001, volume * gain * 0.5), now + start + 0.01);
+      envelope.gain.exponentialRampToValueAtTime(0.0001, now + start + length);
+
+      oscillator.connect(envelope).connect(context.destination);
+      oscillator.start(now + start);
+      oscillator.stop(now + start + length + 0.05);
+    });
+  }
+
+  /**
+   * Start (or switch to) a looping ambient track
+   * @param {string} id - Track ID
+   * @param {number} volume - Volume from 0 to 1
+   */
+  startAmbient(id, volume = 0.3) {
+    if (!SoundPlayer.ambientTracks[id]) {
+      this.stopAmbient();
+      return;
+    }
+
+    if (this.ambient && this.ambient.id === id) {
+      this.ambient.gain.gain.value = volume;
+      return;
+    }
+
+    this.stopAmbient();
+    const context = this._getContext();
+    const source = context.createBufferSource();
+    source.buffer = this._noiseBuffer(id);
+    source.loop = true;
+
+    const gain = context.createGain();
+    gain.gain.value = volume;
+
+    if (id === 'rain') {
+      // Rain is noise with the rumble taken out and the hiss softened
+      const highpass = context.createBiquadFilter();
+      highpass.type = 'highpass';
+      highpass.frequency.value = 400;
+      const lowpass = context.createBiquadFilter();
+      lowpass.type = 'lowpass';
+      lowpass.frequency.value = 6000;
+      source.connect(highpass).connect(lowpass).connect(gain);
+    } else {
+      source.connect(gain);
+    }
+
+    gain.connect(context.destination);
+    source.start();
+    this.ambient = { id, source, gain };
+  }
+
+  /**
+   * Stop the ambient track, if one is playing
+   */
+  stopAmbient() {
+    if (!this.ambient) return;
+    this.ambient.source.stop();
+    this.ambient = null;
+  }
+
+  /**
+   * Whether an ambient track is playing
+   * @returns {boolean} True while ambient sound plays
+   */
+  get isPlayingAmbient() {
+    return Boolean(this.ambient);
+  }
+
+  _getContext() {
+    if (!this.context) {
+      this.context = new AudioContext();
+    }
+    if (this.context.state === 'suspended') {
+      this.context.resume();
+    }
+    return this.context;
+  }
+
+  _noiseBuffer(id) {
+    const context = this._getContext();
+    const length = context.sampleRate * 4;
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    let last = 0;
+
+    for (let i = 0; i < length; i++) {
+      const white = Math.random() * 2 - 1;
+      if (id === 'brown') {
+        // Integrated white noise, kept from drifting
+        last = (last + 0.02 * white) / 1.02;
+        data[i] = last * 3.5;
+      } else {
+        data[i] = white * 0.5;
+      }
+    }
+    return buffer;
+  }
+}
+
+// Export for use in the popup and the offscreen document
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SoundPlayer;
+} else if (typeof self !== 'undefined') {
+  self.SoundPlayer = SoundPlayer;
+}
@@ -0,0 +1,393 @@
+/**
+ * Timer engine for the segmented session timer
+ * Derives the live timer state from wall-clock timestamps so a session
+ * survives the MV3 service worker being suspended and restarted
+ */
+
+class TimerEngine {
+  /**
+   * Build the ordered phase list for a total/segment/grace session
+   * @param {number} total - Total session length in minutes
+   * @param {number} segment - Work segment length in minutes
+   * @param {number} grace - Break length in minutes
+   * @returns {Array<Object>} Phases with label, type ('work' or 'break') and minutes
+   */
+  static buildSegmentPhases(total, segment, grace) {
+    const blocks = Math.floor(total / (segment + grace));
+    const remainingTime = total % (segment + grace);
+    const phases = [];
+
+    for (let block = 0; block < blocks; block++) {
+      phases.push({ label: `Segment ${block + 1} of ${blocks}`, type: 'work', minutes: segment });
+
+      // A break follows every segment except the last one, unless a final segment remains
+      if (grace > 0 && (block < blocks - 1 || remainingTime > 0)) {
+        phases.push({ label: `Break after Segment ${block + 1}`, type: 'break', minutes: grace });
+      }
+    }
+
+    if (remainingTime > 0) {
+      phases.push({ label: 'Final Segment', type: 'work', minutes: remainingTime });
+    }
+
+    return phases;
+  }
+
+  /**
+   * Validate a phase list and convert it to the shape stored in a session
+   * @param {Array<Object>} phases - Phases with label, type and minutes
+   * @returns {Array<Object>} Phases with label, type, minutes and duration (seconds)
+   */
+  static normalizePhases(phases) {
+    if (!Array.isArray(phases) || phases.length === 0) {
+      throw new Error('A session plan needs at least one phase');
+    }
+
+    return phases.map((phase, index) => {
+      const minutes = Number(phase && phase.minutes);
+      if (!Number.isFinite(minutes) || minutes <= 0) {
+        throw new Error(`Phase ${index + 1} must last more than 0 minutes`);
+      }
+
+      const type = phase.type === 'break' ? 'break' : 'work';
+      const label = typeof phase.label === 'string' && phase.label.trim()
+        ? phase.label.trim()
+        : (type === 'work' ? 'Work' : 'Break');
+
+      return { label, type, minutes, duration: Math.round(minutes * 60) };
+    });
+  }
+
+  /**
+   * Validate the task a session is linked to
+   * @param {Object|null} task - Task with label, goal flag and journal date key
+   * @returns {Object|null} Clean task, or null when the session is not linked
+   */
+  static normalizeTask(task) {
+    if (!task || typeof task.label !== 'string' || !task.label.trim()) {
+      return null;
+    }
+    return {
+      label: task.label.trim(),
+      goal: Boolean(task.goal),
+      date: typeof task.date === 'string' ? task.date : null
+    };
+  }
+
+  /**
+   * Create a new session record to persist in chrome.storage
+   * @param {Array<Object>} phases - Phases with label, type and minutes
+   * @param {number} now - Start timestamp (ms)
+   * @param {Object|null} task - What the session is for: { label, goal, date } where
+   *   goal marks the journal's daily goal and date is that journal entry's key
+   * @returns {Object} Session record
+   */
+  static createSession(phases, now = Date.now(), task = null) {
+    return {
+      phases: TimerEngine.normalizePhases(phases),
+      task: TimerEngine.normalizeTask(task),
+      phaseIndex: 0,
+      phaseStartedAt: now,
+      startTime: now,
+      pausedAt: null,
+      pauses: [],
+      // Start of the current uninterrupted run, used to log focus time
+      runStartedAt: now,
+      focusIntervals: [],
+      segmentsCompleted: 0,
+      // Spans the user was away (idle or screen locked) during work
+      idle: null,
+      idleIntervals: []
+    };
+  }
+
+  /**
+   * Roll the session forward to `now`, crossing any phase boundaries that have passed
+   * @param {Object} session - Session record
+   * @param {number} now - Current timestamp (ms)
+   * @returns {{session: Object, transitioned: boolean, isComplete: boolean}} Advanced session
+   */
+  static advance(session, now = Date.now()) {
+    const next = { ...session };
+    const clock = next.pausedAt || now;
+    let transitioned = false;
+
+    while (next.phaseIndex < next.phases.length) {
+      const phase = next.phases[next.phaseIndex];
+      const phaseEnd = next.phaseStartedAt + phase.duration * 1000;
+      if (phaseEnd > clock) break;
+
+      if (phase.type === 'work') {
+        next.focusIntervals = [...next.focusIntervals, { start: next.runStartedAt, end: phaseEnd }];
+        next.segmentsCompleted++;
+      }
+
+      next.phaseIndex++;
+      next.phaseStartedAt = phaseEnd;
+      next.runStartedAt = phaseEnd;
+      transitioned = true;
+    }
+
+    return {
+      session: next,
+      transitioned,
+      isComplete: next.phaseIndex >= next.phases.length
+    };
+  }
+
+  /**
+   * Get the wall-clock time at which the current phase ends
+   * @param {Object} session - Session record
+   * @returns {number|null} Timestamp (ms), or null when paused or complete
+   */
+  static getPhaseEnd(session) {
+    const phase = session.phases[session.phaseIndex];
+    if (!phase || session.pausedAt) return null;
+    return session.phaseStartedAt + phase.duration * 1000;
+  }
+
+  /**
+   * Pause the session
+   * @param {Object} session - Session record (already advanced to `now`)
+   * @param {number} now - Current timestamp (ms)
+   * @returns {Object} Paused session
+   */
+  static pause(session, now = Date.now()) {
+    if (session.pausedAt) return session;
+    return { ...TimerEngine._closeFocusRun(session, now), pausedAt: now };
+  }
+
+  /**
+   * Resume a paused session, shifting the current phase by the paused span
+   * @param {Object} session - Session record
+   * @param {number} now - Current timestamp (ms)
+   * @returns {Object} Resumed session
+   */
+  static resume(session, now = Date.now()) {
+    if (!session.pausedAt) return session;
+    return {
+      ...session,
+      phaseStartedAt: session.phaseStartedAt + (now - session.pausedAt),
+      pauses: [...session.pauses, { start: session.pausedAt, end: now }],
+      pausedAt: null,
+      runStartedAt: now
+    };
+  }
+
+  /**
+   * Move on to the next phase before the current one has run out
+   * @param {Object} session - Session record (already advanced to `now`)
+   * @param {number} now - Current timestamp (ms)
+   * @param {boolean} completed - Count a work phase as a completed segment (ended early) instead of skipped
+   * @returns {Object} Session at the start of the next phase (past the last one when it was skipped)
+   */
+  static skipPhase(session, now = Date.now(), completed = false) {
+    const phase = session.phases[session.phaseIndex];
+    if (!phase) return session;
+
+    const isWork = phase.type === 'work';
+    const closed = TimerEngine._leavePhase(session, now);
+    return {
+      ...closed,
+      // Skipped segments are flagged so rewinding to them doesn't uncount a segment
+      phases: isWork && !completed
+        ? closed.phases.map((p, index) => (index === session.phaseIndex ? { ...p, skipped: true } : p))
+        : closed.phases,
+      segmentsCompleted: closed.segmentsCompleted + (isWork && completed ? 1 : 0),
+      phaseIndex: session.phaseIndex + 1
+    };
+  }
+
+  /**
+   * Go back to the start of the previous phase (or restart the first one)
+   * @param {Object} session - Session record (already advanced to `now`)
+   * @param {number} now - Current timestamp (ms)
+   * @returns {Object} Session at the start of the previous phase
+   */
+  static previousPhase(session, now = Date.now()) {
+    const phaseIndex = Math.max(0, Math.min(session.phaseIndex, session.phases.length) - 1);
+    const phase = session.phases[phaseIndex];
+    const closed = TimerEngine._leavePhase(session, now);
+
+    // A segment that had been completed is run again, so it no longer counts
+    const uncount = phaseIndex < session.phaseIndex && phase.type === 'work' && !phase.skipped;
+    return {
+      ...closed,
+      phases: closed.phases.map((p, index) => (index === phaseIndex ? { ...p, skipped: false } : p)),
+      segmentsCompleted: Math.max(0, closed.segmentsCompleted - (uncount ? 1 : 0)),
+      phaseIndex
+    };
+  }
+
+  /**
+   * Lengthen or shorten the current phase. Only its duration changes; `minutes`
+   * keeps the planned length so the history still compares planned and actual time
+   * @param {Object} session - Session record (already advanced to `now`)
+   * @param {number} minutes - Minutes to add (negative to remove)
+   * @param {number} now - Current timestamp (ms)
+   * @returns {Object} Session with the adjusted phase
+   */
+  static adjustPhase(session, minutes, now = Date.now()) {
+    const phase = session.phases[session.phaseIndex];
+    if (!phase) return session;
+
+    // A phase can't be shortened below the time it has already run; it then ends right away
+    const elapsed = Math.ceil(((session.pausedAt || now) - session.phaseStartedAt) / 1000);
+    const duration = Math.max(elapsed, phase.duration + Math.round(minutes * 60));
+
+    return {
+      ...session,
+      phases: session.phases.map((p, index) => (index === session.phaseIndex ? { ...p, duration } : p))
+    };
+  }
+
+  /**
+   * Note that the user went idle or locked the screen
+   * @param {Object} session - Session record
+   * @param {number} start - When the user became idle (ms)
+   * @param {string} state - 'idle' or 'locked'
+   * @param {string} action - 'paused' when the session was auto-paused, 'recorded' when it kept running
+   * @returns {Object} Session with the open idle span
+   */
+  static startIdle(session, start, state, action) {
+    if (session.idle) return session;
+    return { ...session, idle: { start, state, action } };
+  }
+
+  /**
+   * Close the open idle span when the user is back
+   * @param {Object} session - Session record
+   * @param {number} end - When the user returned (ms)
+   * @returns {Object} Session with the span moved to idleIntervals
+   */
+  static endIdle(session, end) {
+    if (!session.idle) return session;
+    return {
+      ...session,
+      idle: null,
+      idleIntervals: [...(session.idleIntervals || []), { ...session.idle, end }]
+    };
+  }
+
+  /**
+   * Summarize a finished or stopped session for the session history log
+   * @param {Object} session - Session record (already advanced to `endTime`)
+   * @param {number} endTime - When the session ended (ms)
+   * @param {boolean} abandoned - True when the user stopped before the last phase ended
+   * @returns {Object} History record
+   */
+  static summarize(session, endTime = Date.now(), abandoned = false) {
+    const closed = abandoned && !session.pausedAt
+      ? TimerEngine._closeFocusRun(session, endTime)
+      : session;
+    const pauses = session.pausedAt
+      ? [...session.pauses, { start: session.pausedAt, end: endTime }]
+      : session.pauses;
+    const workPhases = session.phases.filter(phase => phase.type === 'work');
+    const idleIntervals = TimerEngine.endIdle(session, endTime).idleIntervals || [];
+    // Time away while the timer kept running is lost focus, not focus
+    const focusIntervals = TimerEngine._subtractIntervals(closed.focusIntervals, idleIntervals);
+    const focusMs = focusIntervals.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+
+    return {
+      id: `session_${session.startTime}`,
+      startTime: session.startTime,
+      endTime,
+      plannedFocusMinutes: workPhases.reduce((sum, phase) => sum + phase.minutes, 0),
+      actualFocusMinutes: Math.round(focusMs / 600) / 100,
+      plannedMinutes: session.phases.reduce((sum, phase) => sum + phase.minutes, 0),
+      pauses,
+      pausedMinutes: Math.round(pauses.reduce((sum, pause) => sum + (pause.end - pause.start), 0) / 600) / 100,
+      segmentsCompleted: closed.segmentsCompleted,
+      segmentsPlanned: workPhases.length,
+      focusIntervals,
+      idleIntervals,
+      idleMinutes: Math.round(idleIntervals.reduce((sum, idle) => sum + (idle.end - idle.start), 0) / 600) / 100,
+      task: session.task || null,
+      abandoned
+    };
+  }
+
+  /**
+   * Close the current phase ahead of schedule so another one can start now
+   * @param {Object} session - Session record
+   * @param {number} now - Current timestamp (ms)
+   * @returns {Object} Session with the focus run closed and the phase clock restarted
+   */
+  static _leavePhase(session, now) {
+    // While paused the focus run is already closed and the new phase starts paused
+    const closed = session.pausedAt ? session : TimerEngine._closeFocusRun(session, now);
+    return {
+      ...closed,
+      phaseStartedAt: session.pausedAt || now,
+      runStartedAt: now
+    };
+  }
+
+  /**
+   * Remove the parts of some intervals covered by others
+   * @param {Array<{start: number, end: number}>} intervals - Intervals to cut
+   * @param {Array<{start: number, end: number}>} gaps - Intervals to remove
+   * @returns {Array<{start: number, end: number}>} Remaining pieces
+   */
+  static _subtractIntervals(intervals, gaps) {
+    return gaps.reduce((pieces, gap) => pieces.flatMap(piece => {
+      if (gap.end <= piece.start || gap.start >= piece.end) return [piece];
+      const kept = [];
+      if (gap.start > piece.start) kept.push({ start: piece.start, end: gap.start });
+      if (gap.end < piece.end) kept.push({ start: gap.end, end: piece.end });
+      return kept;
+    }), intervals);
+  }
+
+  /**
+   * Log the running stretch of the current work phase as focus time
+   * @param {Object} session - Session record
+   * @param {number} now - End of the stretch (ms)
+   * @returns {Object} Session with the interval appended
+   */
+  static _closeFocusRun(session, now) {
+    const phase = session.phases[session.phaseIndex];
+    if (!phase || phase.type !== 'work' || now <= session.runStartedAt) {
+      return session;
+    }
+    return {
+      ...session,
+      focusIntervals: [...session.focusIntervals, { start: session.runStartedAt, end: now }]
+    };
+  }
+
+  /**
+   * Compute the live state rendered by the popup
+   * @param {Object} session - Session record
+   * @param {number} now - Current timestamp (ms)
+   * @returns {Object} Timer state with the phase list, phaseIndex and currentTime (seconds)
+   */
+  static getState(session, now = Date.now()) {
+    const { session: current, isComplete } = TimerEngine.advance(session, now);
+    const phase = current.phases[current.phaseIndex];
+    const clock = current.pausedAt || now;
+    const currentTime = isComplete
+      ? 0
+      : Math.max(0, Math.ceil((current.phaseStartedAt + phase.duration * 1000 - clock) / 1000));
+
+    return {
+      phases: current.phases,
+      phaseIndex: current.phaseIndex,
+      label: phase ? phase.label : '',
+      task: current.task || null,
+      currentTime,
+      isWorkTime: phase ? phase.type === 'work' : false,
+      totalDuration: current.phases.reduce((sum, p) => sum + p.duration, 0),
+      startTime: current.startTime,
+      isComplete
+    };
+  }
+}
+
+// Export for use in the popup and the background service worker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TimerEngine;
+} else if (typeof self !== 'undefined') {
+  self.TimerEngine = TimerEngine;
+}
@@ -0,0 +1,221 @@
+/**
+ * UI component for the journal calendar
+ * A month of days colored by mood and marked when they have a dream or a goal,
+ * above a year-at-a-glance mood heatmap. Clicking a day selects its entry
+ * Depends on LifeClock (src/lifeClock.js) and MoodStats (src/moodStats.js) being loaded first
+ */
+
+class JournalCalendarUI {
+  constructor() {
+    this.container = null;
+    this.onSelectDate = null;
+    this.entries = {};
+    this.dreamNights = {};
+    this.month = null;
+    this.selected = null;
+    this.moods = MoodStats.moods;
+  }
+
+  /**
+   * Initialize the UI component
+   * @param {string|HTMLElement} containerId - Container element ID or element
+   * @param {Function} onSelectDate - Called with the clicked day's date key (YYYY-MM-DD)
+   */
+  init(containerId, onSelectDate = null) {
+    if (typeof containerId === 'string') {
+      this.container = document.getElementById(containerId);
+    } else if (containerId instanceof HTMLElement) {
+      this.container = containerId;
+    } else {
+      throw new Error('Invalid container: must be element ID string or HTMLElement');
+    }
+
+    if (!this.container) {
+      throw new Error('Container element not found');
+    }
+
+    this.onSelectDate = onSelectDate;
+    this.container.addEventListener('click', (event) => this._handleClick(event));
+  }
+
+  /**
+   * Render the calendar
+   * @param {Object} entries - Journal entries keyed by date
+   * @param {string} selected - Date key of the entry being viewed; its month is shown
+   * @param {Object<string, Array<Object>>} dreamNights - Dreams keyed by night (DreamStore.byNight)
+   */
+  show(entries, selected, dreamNights = {}) {
+    if (!this.container) {
+      throw new Error('UI not initialized. Call init() first.');
+    }
+
+    this.entries = entries || {};
+    this.dreamNights = dreamNights;
+    this.selected = selected;
+    const date = LifeClock.parseDate(selected);
+    this.month = new Date(date.getFullYear(), date.getMonth(), 1);
+    this._render();
+  }
+
+  _render() {
+    const today = LifeClock.formatDate(new Date());
+    const title = this.month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    const isCurrentMonth = this.month.getFullYear() === new Date().getFullYear() && this.month.getMonth() === new Date().getMonth();
+
+    this.container.innerHTML = `
+      <div class="calendar-header">
+        <button class="nav-btn" data-month="-1" title="Previous month">←</button>
+        <span class="calendar-title">${this._escapeHtml(title)}</span>
+        <button class="nav-btn" data-month="1" title="Next month" ${isCurrentMonth ? 'disabled' : ''}>→</button>
+      </div>
+      ${this._renderMonth(today)}
+      ${this._renderLegend()}
+      ${this._renderYear(today)}
+    `;
+  }
+
+  /**
+   * Render the month grid, weeks starting on Monday
+   * @param {string} today - Today's date key
+   * @returns {string} HTML string
+   */
+  _renderMonth(today) {
+    const year = this.month.getFullYear();
+    const month = this.month.getMonth();
+    const days = new Date(year, month + 1, 0).getDate();
+    const offset = (this.month.getDay() + 6) % 7;
+    const cells = [];
+
+    for (let i = 0; i < offset; i++) {
+      cells.push('<span class="calendar-blank"></span>');
+    }
+
+    for (let day = 1; day <= days; day++) {
+      const key = LifeClock.formatDate(new Date(year, month, day));
+      const entry = this.entries[key];
+      const classes = ['calendar-day'];
+      if (key === today) classes.push('today');
+      if (key === this.selected) classes.push('selected');
+
+      const markers = `${this.dreamNights[key] ? '🌙' : ''}${entry && entry.goal ? '🎯' : ''}`;
+      cells.push(`
+        <button class="${classes.join(' ')}" data-date="${key}" ${key > today ? 'disabled' : ''}
+                style="${this._moodStyle(entry)}" title="${this._escapeHtml(this._describe(key, entry))}">
+          <span class="calendar-day-number">${day}</span>
+          ${markers ? `<span class="calendar-markers">${markers}</span>` : ''}
+        </button>
+      `);
+    }
+
+    return `
+      <div class="calendar-grid">
+        ${['M', 'T', 'W', 'T', 'F', 'S', 'S'].map(day => `<span class="calendar-weekday">${day}</span>`).join('')}
+        ${cells.join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the mood color legend
+   * @returns {string} HTML string
+   */
+  _renderLegend() {
+    return `
+      <div class="calendar-legend">
+        ${this.moods.map(mood => `
+          <span><i style="background:${mood.color}"></i>${mood.label}</span>
+        `).join('')}
+        <span>🌙 dream</span>
+        <span>🎯 goal</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the year heatmap: one column per week, one row per weekday
+   * @param {string} today - Today's date key
+   * @returns {string} HTML string
+   */
+  _renderYear(today) {
+    const year = this.month.getFullYear();
+    const start = new Date(year, 0, 1);
+    const cells = [];
+
+    for (let i = 0; i < (start.getDay() + 6) % 7; i++) {
+      cells.push('<span class="year-heatmap-blank"></span>');
+    }
+
+    for (let date = start; date.getFullYear() === year; date = new Date(year, date.getMonth(), date.getDate() + 1)) {
+      const key = LifeClock.formatDate(date);
+      const entry = this.entries[key];
+      cells.push(`
+        <span class="year-heatmap-cell${key > today ? ' future' : ''}" data-date="${key}"
+              style="${this._moodStyle(entry)}" title="${this._escapeHtml(this._describe(key, entry))}"></span>
+      `);
+    }
+
+    return `
+      <div class="stats-section">
+        <div class="stats-section-title">${year} in Moods</div>
+        <div class="year-heatmap">${cells.join('')}</div>
+      </div>
+    `;
+  }
+
+  _moodStyle(entry) {
+    const mood = entry && this.moods.find(item => item.key === entry.mood);
+    return mood ? `background:${mood.color}` : '';
+  }
+
+  _describe(key, entry) {
+    const date = LifeClock.parseDate(key).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    const dreams = (this.dreamNights[key] || []).length;
+    const dreamText = dreams > 0 ? `, ${dreams} dream${dreams === 1 ? '' : 's'}` : '';
+    if (!entry) return `${date} – no entry${dreamText}`;
+
+    const mood = this.moods.find(item => item.key === entry.mood);
+    return `${date} – ${mood ? mood.label : 'no mood'}${dreamText}${entry.goal ? `, goal: ${entry.goal}` : ''}`;
+  }
+
+  _handleClick(event) {
+    const monthButton = event.target.closest('[data-month]');
+    if (monthButton) {
+      this.month = new Date(this.month.getFullYear(), this.month.getMonth() + Number(monthButton.dataset.month), 1);
+      this._render();
+      return;
+    }
+
+    const day = event.target.closest('[data-date]');
+    if (!day || day.disabled || day.classList.contains('future')) return;
+
+    this.selected = day.dataset.date;
+    const date = LifeClock.parseDate(this.selected);
+    this.month = new Date(date.getFullYear(), date.getMonth(), 1);
+    this._render();
+    if (this.onSelectDate) {
+      this.onSelectDate(this.selected);
+    }
+  }
+
+  /**
+   * Escape HTML to prevent XSS attacks
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  _escapeHtml(text) {
+    if (typeof text !== 'string') {
+      return '';
+    }
+
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JournalCalendarUI;
+} else if (typeof window !== 'undefined') {
+  window.JournalCalendarUI = JournalCalendarUI;
+}
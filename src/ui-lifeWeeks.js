@@ -0,0 +1,195 @@
+/**
+ * UI component for the "your life in weeks" grid
+ * One row per year of age and 52 cells per row, drawn on a canvas
+ */
+
+class LifeWeeksUI {
+  constructor() {
+    this.container = null;
+    this.canvas = null;
+    this.data = null;
+    this.selectionStart = null;
+    this.onRangeSelect = null;
+
+    this.labelWidth = 16;
+    this.gap = 1;
+    this.colors = {
+      future: 'rgba(255, 255, 255, 0.12)',
+      lived: '#6b8cff',
+      current: '#fbbf24',
+      selection: '#ffffff'
+    };
+  }
+
+  /**
+   * Initialize the UI component
+   * @param {string|HTMLElement} containerId - Container element ID or element
+   * @param {Function} onRangeSelect - Called with (startDate, endDate) after two cells are clicked
+   */
+  init(containerId, onRangeSelect = null) {
+    if (typeof containerId === 'string') {
+      this.container = document.getElementById(containerId);
+    } else if (containerId instanceof HTMLElement) {
+      this.container = containerId;
+    } else {
+      throw new Error('Invalid container: must be element ID string or HTMLElement');
+    }
+
+    if (!this.container) {
+      throw new Error('Container element not found');
+    }
+
+    this.onRangeSelect = onRangeSelect;
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'life-weeks-canvas';
+    this.canvas.addEventListener('click', (event) => this._handleClick(event));
+    this.canvas.addEventListener('mousemove', (event) => this._handleHover(event));
+    this.container.innerHTML = '';
+    this.container.appendChild(this.canvas);
+  }
+
+  /**
+   * Draw the grid
+   * @param {Object} data - Grid data
+   * @param {string} data.birthdate - Date of birth (YYYY-MM-DD)
+   * @param {number} data.expectancy - Life expectancy in years
+   * @param {Array<Object>} data.chapters - Chapters with title, start, end (YYYY-MM-DD) and color
+   */
+  show(data) {
+    if (!this.canvas) {
+      throw new Error('UI not initialized. Call init() first.');
+    }
+
+    this.data = data;
+    this.years = Math.ceil(data.expectancy);
+    this.current = LifeClock.weekOfLife(data.birthdate, new Date());
+    this.chapterCells = data.chapters.map(chapter => ({
+      chapter,
+      start: this._cellIndex(LifeClock.weekOfLife(data.birthdate, LifeClock.parseDate(chapter.start))),
+      end: this._cellIndex(LifeClock.weekOfLife(data.birthdate, LifeClock.parseDate(chapter.end)))
+    }));
+    this._draw();
+  }
+
+  /**
+   * Forget a half-made range selection
+   */
+  clearSelection() {
+    this.selectionStart = null;
+    if (this.data) this._draw();
+  }
+
+  _draw() {
+    const width = this.container.clientWidth || 256;
+    this.cellSize = Math.max(2, Math.floor((width - this.labelWidth) / 52) - this.gap);
+    const pitch = this.cellSize + this.gap;
+    const height = this.years * pitch;
+    const ratio = window.devicePixelRatio || 1;
+
+    this.canvas.width = (this.labelWidth + 52 * pitch) * ratio;
+    this.canvas.height = height * ratio;
+    this.canvas.style.width = `${this.labelWidth + 52 * pitch}px`;
+    this.canvas.style.height = `${height}px`;
+
+    const ctx = this.canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.font = '7px sans-serif';
+    ctx.textBaseline = 'top';
+
+    const currentIndex = this._cellIndex(this.current);
+
+    for (let year = 0; year < this.years; year++) {
+      // Label every fifth year of age
+      if (year % 5 === 0) {
+        ctx.fillStyle = 'rgba(166, 176, 255, 0.8)';
+        ctx.fillText(String(year), 0, year * pitch);
+      }
+
+      for (let week = 0; week < 52; week++) {
+        const index = year * 52 + week;
+        const chapter = this._chapterAt(index);
+
+        if (index === currentIndex) {
+          ctx.fillStyle = this.colors.current;
+        } else if (chapter) {
+          ctx.fillStyle = chapter.color;
+          ctx.globalAlpha = index < currentIndex ? 1 : 0.45;
+        } else {
+          ctx.fillStyle = index < currentIndex ? this.colors.lived : this.colors.future;
+        }
+
+        ctx.fillRect(this.labelWidth + week * pitch, year * pitch, this.cellSize, this.cellSize);
+        ctx.globalAlpha = 1;
+
+        if (index === this.selectionStart) {
+          ctx.strokeStyle = this.colors.selection;
+          ctx.strokeRect(this.labelWidth + week * pitch + 0.5, year * pitch + 0.5, this.cellSize - 1, this.cellSize - 1);
+        }
+      }
+    }
+  }
+
+  _cellIndex({ year, week }) {
+    return year * 52 + week;
+  }
+
+  _chapterAt(index) {
+    // Later chapters are drawn on top of earlier ones
+    for (let i = this.chapterCells.length - 1; i >= 0; i--) {
+      const cells = this.chapterCells[i];
+      if (index >= cells.start && index <= cells.end) return cells.chapter;
+    }
+    return null;
+  }
+
+  _cellFromEvent(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const pitch = this.cellSize + this.gap;
+    const week = Math.floor((event.clientX - rect.left - this.labelWidth) / pitch);
+    const year = Math.floor((event.clientY - rect.top) / pitch);
+
+    if (week < 0 || week > 51 || year < 0 || year >= this.years) return null;
+    return { year, week };
+  }
+
+  _handleHover(event) {
+    const cell = this._cellFromEvent(event);
+    if (!cell || !this.data) {
+      this.canvas.title = '';
+      return;
+    }
+
+    const start = LifeClock.weekStartDate(this.data.birthdate, cell.year, cell.week);
+    const chapter = this._chapterAt(this._cellIndex(cell));
+    this.canvas.title = `Age ${cell.year}, week ${cell.week + 1} · ${start.toLocaleDateString()}${chapter ? ` · ${chapter.title}` : ''}`;
+  }
+
+  _handleClick(event) {
+    const cell = this._cellFromEvent(event);
+    if (!cell || !this.data) return;
+
+    const index = this._cellIndex(cell);
+    if (this.selectionStart === null) {
+      this.selectionStart = index;
+      this._draw();
+      return;
+    }
+
+    const [first, last] = [this.selectionStart, index].sort((a, b) => a - b);
+    this.selectionStart = null;
+    this._draw();
+
+    if (this.onRangeSelect) {
+      const start = LifeClock.weekStartDate(this.data.birthdate, Math.floor(first / 52), first % 52);
+      const end = LifeClock.addDays(LifeClock.weekStartDate(this.data.birthdate, Math.floor(last / 52), last % 52), 6);
+      this.onRangeSelect(start, end);
+    }
+  }
+}
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LifeWeeksUI;
+} else if (typeof window !== 'undefined') {
+  window.LifeWeeksUI = LifeWeeksUI;
+}
@@ -0,0 +1,232 @@
+/**
+ * UI component for the mood insights view
+ * Renders mood averages, a trend chart with a rolling average, weekday
+ * patterns and how mood relates to focus time and dream emotions
+ */
+
+class MoodStatsUI {
+  constructor() {
+    this.container = null;
+    this.chartWidth = 300;
+    this.chartHeight = 90;
+  }
+
+  /**
+   * Initialize the UI component
+   * @param {string|HTMLElement} containerId - Container element ID or element
+   */
+  init(containerId) {
+    if (typeof containerId === 'string') {
+      this.container = document.getElementById(containerId);
+    } else if (containerId instanceof HTMLElement) {
+      this.container = containerId;
+    } else {
+      throw new Error('Invalid container: must be element ID string or HTMLElement');
+    }
+
+    if (!this.container) {
+      throw new Error('Container element not found');
+    }
+  }
+
+  /**
+   * Render insights for the given journal and session history
+   * @param {Object} entries - Journal entries keyed by date
+   * @param {Array<Object>} sessions - Session history records
+   * @param {Object<string, Array<Object>>} dreamNights - Dreams keyed by night (DreamStore.byNight)
+   */
+  show(entries, sessions, dreamNights = {}) {
+    if (!this.container) {
+      throw new Error('UI not initialized. Call init() first.');
+    }
+
+    const stats = new MoodStats(entries, sessions, dreamNights);
+    if (stats.days.length === 0) {
+      this.container.innerHTML = '<p class="stats-empty">No moods yet. Pick a mood in the journal to start seeing patterns.</p>';
+      return;
+    }
+
+    const averages = stats.averages(30);
+    const distribution = stats.distribution();
+    const top = MoodStats.moods.reduce((best, mood) => (distribution[mood.key] > distribution[best.key] ? mood : best));
+    const focus = stats.focusCorrelation();
+
+    this.container.innerHTML = `
+      <div class="stats-summary">
+        ${this._renderCard('Last 30 Days', this._formatScore(averages.recent))}
+        ${this._renderCard('All Time', this._formatScore(averages.overall))}
+        ${this._renderCard('Days Logged', String(stats.days.length))}
+        ${this._renderCard('Most Often', top.emoji, top.label)}
+      </div>
+      ${this._renderTrend(stats.trend(90, 7))}
+      ${this._renderWeekdays(stats.byWeekday())}
+      ${this._renderFocus(focus)}
+      ${this._renderEmotions(stats.dreamEmotions())}
+    `;
+  }
+
+  /**
+   * Render a summary card
+   * @param {string} title - Card title
+   * @param {string} value - Main value
+   * @param {string} detail - Optional secondary line
+   * @returns {string} HTML string
+   */
+  _renderCard(title, value, detail = '') {
+    return `
+      <div class="stats-card">
+        <div class="stats-card-value">${this._escapeHtml(value)}</div>
+        <div class="stats-card-title">${this._escapeHtml(title)}</div>
+        ${detail ? `<div class="stats-card-detail">${this._escapeHtml(detail)}</div>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render daily moods as dots and the rolling average as a line
+   * @param {Array<Object>} trend - Result of MoodStats.trend
+   * @returns {string} HTML string
+   */
+  _renderTrend(trend) {
+    if (trend.length === 0) {
+      return this._renderSection('Mood Over 90 Days', '<p class="stats-empty">No moods in the last 90 days.</p>');
+    }
+
+    const days = 90;
+    const first = new Date();
+    first.setHours(0, 0, 0, 0);
+    first.setDate(first.getDate() - days + 1);
+    const x = date => ((new Date(`${date}T00:00`) - first) / 86400000 / (days - 1)) * this.chartWidth;
+    const y = score => this.chartHeight - ((score - 1) / 4) * (this.chartHeight - 8) - 4;
+    const colors = Object.fromEntries(MoodStats.moods.map(mood => [mood.key, mood.color]));
+
+    const line = trend.map(day => `${x(day.date).toFixed(1)},${y(day.average).toFixed(1)}`).join(' ');
+    const dots = trend.map(day => `
+      <circle cx="${x(day.date).toFixed(1)}" cy="${y(day.score).toFixed(1)}" r="2.5" fill="${colors[day.mood]}">
+        <title>${day.date}: ${day.mood}, 7-day average ${day.average.toFixed(1)}</title>
+      </circle>
+    `).join('');
+
+    return this._renderSection('Mood Over 90 Days', `
+      <svg class="mood-trend" viewBox="0 0 ${this.chartWidth} ${this.chartHeight}" preserveAspectRatio="none">
+        <polyline points="${line}" fill="none" stroke="#a6b0ff" stroke-width="1.5" />
+        ${dots}
+      </svg>
+      <div class="mood-trend-legend">Dots: daily mood · Line: 7-day average</div>
+    `);
+  }
+
+  /**
+   * Render the average mood for each weekday
+   * @param {Array<{average: number|null, count: number}>} weekdays - Monday first
+   * @returns {string} HTML string
+   */
+  _renderWeekdays(weekdays) {
+    const labels = ['M', 'T', 'W', 'T', 'F', 'S', 'S'];
+
+    return this._renderSection('By Day of Week', `
+      <div class="stats-bars">
+        ${weekdays.map((day, index) => `
+          <div class="stats-bar" title="${day.count > 0 ? `${this._formatScore(day.average)} over ${day.count} days` : 'No moods yet'}">
+            <div class="stats-bar-fill" style="height:${day.average ? Math.round((day.average / 5) * 100) : 0}%"></div>
+            <div class="stats-bar-label">${labels[index]}</div>
+          </div>
+        `).join('')}
+      </div>
+    `);
+  }
+
+  /**
+   * Render how mood relates to focus time
+   * @param {Object} focus - Result of MoodStats.focusCorrelation
+   * @returns {string} HTML string
+   */
+  _renderFocus(focus) {
+    if (focus.focused === null && focus.unfocused === null) {
+      return this._renderSection('Mood and Focus', '<p class="stats-empty">Run timer sessions to compare mood with focus time.</p>');
+    }
+
+    return this._renderSection('Mood and Focus', `
+      <div class="mood-rows">
+        <div class="mood-row"><span>Days with focus time</span><span>${this._formatScore(focus.focused)}</span></div>
+        <div class="mood-row"><span>Days without</span><span>${this._formatScore(focus.unfocused)}</span></div>
+        <div class="mood-row"><span>Correlation with focus minutes</span><span>${this._formatCorrelation(focus.correlation)}</span></div>
+      </div>
+    `);
+  }
+
+  /**
+   * Render the average mood on days with each dream emotion
+   * @param {Array<{emotion: string, count: number, average: number}>} emotions - Result of MoodStats.dreamEmotions
+   * @returns {string} HTML string
+   */
+  _renderEmotions(emotions) {
+    if (emotions.length === 0) {
+      return this._renderSection('Mood and Dreams', '<p class="stats-empty">Analyze dreams to compare their emotions with your mood.</p>');
+    }
+
+    return this._renderSection('Mood and Dreams', `
+      <div class="mood-rows">
+        ${emotions.map(item => `
+          <div class="mood-row">
+            <span>${this._escapeHtml(item.emotion)} <small>(${item.count})</small></span>
+            <span>${this._formatScore(item.average)}</span>
+          </div>
+        `).join('')}
+      </div>
+    `);
+  }
+
+  _renderSection(title, content) {
+    return `
+      <div class="stats-section">
+        <div class="stats-section-title">${this._escapeHtml(title)}</div>
+        ${content}
+      </div>
+    `;
+  }
+
+  /**
+   * Format an average score as "3.8/5"
+   * @param {number|null} score - Average from 1 to 5
+   * @returns {string} Formatted score, or a dash when there is none
+   */
+  _formatScore(score) {
+    return score === null ? '–' : `${score.toFixed(1)}/5`;
+  }
+
+  /**
+   * Describe a correlation coefficient in words
+   * @param {number|null} r - Coefficient from -1 to 1
+   * @returns {string} Description
+   */
+  _formatCorrelation(r) {
+    if (r === null) return 'not enough data';
+
+    const strength = Math.abs(r) >= 0.5 ? 'strong' : Math.abs(r) >= 0.3 ? 'moderate' : Math.abs(r) >= 0.1 ? 'weak' : 'none';
+    if (strength === 'none') return `none (${r.toFixed(2)})`;
+    return `${strength} ${r > 0 ? 'positive' : 'negative'} (${r.toFixed(2)})`;
+  }
+
+  /**
+   * Escape HTML to prevent XSS attacks
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  _escapeHtml(text) {
+    if (typeof text !== 'string') {
+      return '';
+    }
+
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MoodStatsUI;
+} else if (typeof window !== 'undefined') {
+  window.MoodStatsUI = MoodStatsUI;
+}
@@ -0,0 +1,169 @@
+/**
+ * UI component for the focus statistics view
+ * Renders totals, streaks, completion rate and an hourly heatmap
+ */
+
+class SessionStatsUI {
+  constructor() {
+    this.container = null;
+  }
+
+  /**
+   * Initialize the UI component
+   * @param {string|HTMLElement} containerId - Container element ID or element
+   */
+  init(containerId) {
+    if (typeof containerId === 'string') {
+      this.container = document.getElementById(containerId);
+    } else if (containerId instanceof HTMLElement) {
+      this.container = containerId;
+    } else {
+      throw new Error('Invalid container: must be element ID string or HTMLElement');
+    }
+
+    if (!this.container) {
+      throw new Error('Container element not found');
+    }
+  }
+
+  /**
+   * Render statistics for the given session history
+   * @param {Array<Object>} sessions - Session history records
+   */
+  show(sessions) {
+    if (!this.container) {
+      throw new Error('UI not initialized. Call init() first.');
+    }
+
+    if (!sessions || sessions.length === 0) {
+      this.container.innerHTML = '<p class="stats-empty">No sessions yet. Finish or stop a timer session to start your log.</p>';
+      return;
+    }
+
+    const stats = new SessionStats(sessions);
+    const daily = stats.dailyTotals(7);
+    const weekly = stats.weeklyTotals(4);
+    const streaks = stats.streaks();
+    const completion = stats.completionRate();
+
+    this.container.innerHTML = `
+      <div class="stats-summary">
+        ${this._renderCard('Today', this._formatMinutes(daily[daily.length - 1].minutes))}
+        ${this._renderCard('This Week', this._formatMinutes(weekly[weekly.length - 1].minutes))}
+        ${this._renderCard('Streak', `${streaks.current}d`, `best ${streaks.longest}d`)}
+        ${this._renderCard('Completed', `${Math.round(completion.rate * 100)}%`, `${completion.completed}/${sessions.length}`)}
+      </div>
+      ${this._renderBars('Last 7 Days', daily.map(day => ({
+        label: new Date(`${day.date}T00:00`).toLocaleDateString('en-US', { weekday: 'narrow' }),
+        minutes: day.minutes
+      })))}
+      ${this._renderBars('Weekly Totals', weekly.map(week => ({
+        label: new Date(`${week.weekStart}T00:00`).toLocaleDateString('en-US', { month: 'numeric', day: 'numeric' }),
+        minutes: week.minutes
+      })))}
+      ${this._renderHeatmap(stats.hourHeatmap())}
+    `;
+  }
+
+  /**
+   * Render a summary card
+   * @param {string} title - Card title
+   * @param {string} value - Main value
+   * @param {string} detail - Optional secondary line
+   * @returns {string} HTML string
+   */
+  _renderCard(title, value, detail = '') {
+    return `
+      <div class="stats-card">
+        <div class="stats-card-value">${this._escapeHtml(value)}</div>
+        <div class="stats-card-title">${this._escapeHtml(title)}</div>
+        ${detail ? `<div class="stats-card-detail">${this._escapeHtml(detail)}</div>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render a small bar chart
+   * @param {string} title - Section title
+   * @param {Array<{label: string, minutes: number}>} rows - Bars in display order
+   * @returns {string} HTML string
+   */
+  _renderBars(title, rows) {
+    const max = Math.max(...rows.map(row => row.minutes), 1);
+
+    return `
+      <div class="stats-section">
+        <div class="stats-section-title">${this._escapeHtml(title)}</div>
+        <div class="stats-bars">
+          ${rows.map(row => `
+            <div class="stats-bar" title="${this._escapeHtml(this._formatMinutes(row.minutes))}">
+              <div class="stats-bar-fill" style="height:${Math.round((row.minutes / max) * 100)}%"></div>
+              <div class="stats-bar-label">${this._escapeHtml(row.label)}</div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the weekday × hour focus heatmap
+   * @param {Array<Array<number>>} grid - 7 rows of 24 hourly totals
+   * @returns {string} HTML string
+   */
+  _renderHeatmap(grid) {
+    const max = Math.max(...grid.flat(), 1);
+    const weekdays = ['M', 'T', 'W', 'T', 'F', 'S', 'S'];
+
+    return `
+      <div class="stats-section">
+        <div class="stats-section-title">Focus by Hour</div>
+        <div class="stats-heatmap">
+          ${grid.map((hours, weekday) => `
+            <div class="stats-heatmap-row">
+              <span class="stats-heatmap-day">${weekdays[weekday]}</span>
+              ${hours.map((minutes, hour) => `
+                <span class="stats-heatmap-cell"
+                      style="opacity:${minutes > 0 ? (0.25 + 0.75 * minutes / max).toFixed(2) : 0.08}"
+                      title="${hour}:00 – ${Math.round(minutes)} min"></span>
+              `).join('')}
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Format minutes as "1h 25m"
+   * @param {number} minutes - Minutes
+   * @returns {string} Formatted duration
+   */
+  _formatMinutes(minutes) {
+    const rounded = Math.round(minutes);
+    const hours = Math.floor(rounded / 60);
+    return hours > 0 ? `${hours}h ${rounded % 60}m` : `${rounded}m`;
+  }
+
+  /**
+   * Escape HTML to prevent XSS attacks
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  _escapeHtml(text) {
+    if (typeof text !== 'string') {
+      return '';
+    }
+
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionStatsUI;
+} else if (typeof window !== 'undefined') {
+  window.SessionStatsUI = SessionStatsUI;
+}